@@ -9,6 +9,9 @@
  * - Integration with AWS services
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -20,6 +23,12 @@ const AWS = require('aws-sdk');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const { parse: parseCsv } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
+const PDFDocument = require('pdfkit');
+const migrator = require('./migrations/migrate');
 
 // Initialize Express app
 const app = express();
@@ -29,6 +38,8 @@ const port = process.env.APP_PORT || 3000;
 AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
 const secretsManager = new AWS.SecretsManager();
 const cloudWatch = new AWS.CloudWatch();
+const sns = new AWS.SNS();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
 
 // Database connection pool
 let dbPool;
@@ -87,47 +98,12 @@ async function initializeDatabase() {
   }
 }
 
+// Apply pending migrations on startup; see migrations/migrate.js for the CLI
 async function runMigrations() {
   try {
     console.log('Running database migrations...');
     
-    // Check if migrations table exists
-    const migrationTableExists = await dbPool.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'migrations'
-      );
-    `);
-    
-    if (!migrationTableExists.rows[0].exists) {
-      // Create migrations table
-      await dbPool.query(`
-        CREATE TABLE migrations (
-          id SERIAL PRIMARY KEY,
-          filename VARCHAR(255) NOT NULL,
-          executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-    }
-    
-    // Check if initial migration has been run
-    const initialMigration = await dbPool.query(`
-      SELECT * FROM migrations WHERE filename = '001_initial.sql';
-    `);
-    
-    if (initialMigration.rows.length === 0) {
-      // Run initial migration (this would normally read from file)
-      console.log('Running initial migration...');
-      // The migration SQL is embedded in the user data script
-      // In a real application, you would read and execute the SQL file
-      
-      await dbPool.query(`
-        INSERT INTO migrations (filename) VALUES ('001_initial.sql');
-      `);
-      
-      console.log('Initial migration completed');
-    }
+    await migrator.up(dbPool);
     
     console.log('Database migrations completed successfully');
   } catch (error) {
@@ -189,7 +165,106 @@ app.use('/api/', limiter);
 // Authentication Middleware
 // =============================================================================
 
-function authenticateToken(req, res, next) {
+// Cognito user pool the API accepts tokens from
+const cognitoIssuer = `https://cognito-idp.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${process.env.USER_POOL_ID}`;
+
+// Signing keys come from the pool's JWKS endpoint; COGNITO_JWKS_URL may point
+// elsewhere, including a file:// URL or local path for tests
+const jwksUrl = process.env.COGNITO_JWKS_URL || `${cognitoIssuer}/.well-known/jwks.json`;
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Unknown key ids trigger a refresh, but no more often than this, so forged kids can't hammer the endpoint
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+const jwksCache = {
+  keys: new Map(),
+  fetchedAt: 0,
+  pending: null
+};
+
+async function fetchJwks() {
+  if (/^https?:\/\//.test(jwksUrl)) {
+    const response = await fetch(jwksUrl);
+    
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    
+    return response.json();
+  }
+  
+  const filePath = jwksUrl.startsWith('file:') ? fileURLToPath(jwksUrl) : jwksUrl;
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+async function refreshJwks() {
+  if (!jwksCache.pending) {
+    jwksCache.pending = fetchJwks()
+      .then(({ keys }) => {
+        jwksCache.keys = new Map(
+          (keys || [])
+            .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+            .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+        );
+        jwksCache.fetchedAt = Date.now();
+      })
+      .finally(() => {
+        jwksCache.pending = null;
+      });
+  }
+  
+  await jwksCache.pending;
+}
+
+async function getSigningKey(kid) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  
+  if (age > JWKS_CACHE_TTL_MS || (!jwksCache.keys.has(kid) && age > JWKS_MIN_REFRESH_MS)) {
+    await refreshJwks();
+  }
+  
+  return jwksCache.keys.get(kid) || null;
+}
+
+// Verify signature, issuer and expiry, then check the token was issued to our app client.
+// ID tokens carry the client in aud; access tokens carry it in client_id.
+async function verifyCognitoToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('Malformed token');
+  }
+  
+  const key = await getSigningKey(decoded.header.kid);
+  
+  if (!key) {
+    throw new Error(`Unknown signing key ${decoded.header.kid}`);
+  }
+  
+  const claims = jwt.verify(token, key, {
+    algorithms: ['RS256'],
+    issuer: cognitoIssuer
+  });
+  
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  
+  if (!['id', 'access'].includes(claims.token_use)) {
+    throw new Error(`Unexpected token_use ${claims.token_use}`);
+  }
+  
+  const clientId = claims.token_use === 'id' ? claims.aud : claims.client_id;
+  
+  if (clientId !== process.env.USER_POOL_CLIENT_ID) {
+    throw new Error('Token was not issued to this client');
+  }
+  
+  return claims;
+}
+
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -197,24 +272,27 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  if (!process.env.USER_POOL_ID || !process.env.USER_POOL_CLIENT_ID) {
+    console.error('USER_POOL_ID and USER_POOL_CLIENT_ID must be set to verify tokens');
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  let decoded;
+  
   try {
-    // In a real application, you would verify the JWT token
-    // For now, we'll decode it to get user information
-    const decoded = jwt.decode(token);
-    if (!decoded) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    
-    req.user = {
-      id: decoded.sub,
-      email: decoded.email,
-      groups: decoded['cognito:groups'] || []
-    };
-    
-    next();
+    decoded = await verifyCognitoToken(token);
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid token' });
+    console.warn('Rejected access token:', error.message);
+    return res.status(401).json({ error: 'Invalid token' });
   }
+  
+  req.user = {
+    id: decoded.sub,
+    email: decoded.email,
+    groups: decoded['cognito:groups'] || []
+  };
+  
+  next();
 }
 
 function requireRole(roles) {
@@ -249,6 +327,95 @@ function handleValidationErrors(req, res, next) {
   next();
 }
 
+// =============================================================================
+// Access Control Helpers
+// =============================================================================
+
+// Course staff roles (see course_staff). Instructors and co-instructors have full
+// rights on a course; TAs may view it and grade, limited to assignment_ids when set.
+const COURSE_MANAGER_ROLES = ['instructor', 'co_instructor'];
+const COURSE_STAFF_ROLES = [...COURSE_MANAGER_ROLES, 'ta'];
+
+// SQL condition matching courses aliased "c" that user $N is on the staff of
+function courseStaffCondition(userParam, roles = COURSE_STAFF_ROLES) {
+  const roleList = roles.map(role => `'${role}'`).join(', ');
+  return `EXISTS (SELECT 1 FROM course_staff cs WHERE cs.course_id = c.id AND cs.user_id = ${userParam} AND cs.role IN (${roleList}))`;
+}
+
+async function getCourseStaffMember(courseId, user) {
+  const result = await dbPool.query(
+    'SELECT role, assignment_ids FROM course_staff WHERE course_id = $1 AND user_id = $2',
+    [courseId, user.id]
+  );
+  
+  return result.rows[0] || null;
+}
+
+// Instructors and co-instructors may manage their courses; admins may manage any course.
+// Pass COURSE_STAFF_ROLES to let TAs through as well.
+async function canManageCourse(courseId, user, roles = COURSE_MANAGER_ROLES) {
+  if (user.groups.includes('admins')) return true;
+  
+  const member = await getCourseStaffMember(courseId, user);
+  return Boolean(member && roles.includes(member.role));
+}
+
+// Course managers may grade any assignment; TAs only the ones assigned to them
+async function canGradeAssignment(assignment, user) {
+  if (user.groups.includes('admins')) return true;
+  
+  const member = await getCourseStaffMember(assignment.course_id, user);
+  
+  if (!member) return false;
+  if (COURSE_MANAGER_ROLES.includes(member.role)) return true;
+  
+  return member.role === 'ta' && (member.assignment_ids === null || member.assignment_ids.includes(assignment.id));
+}
+
+// Load a course the user may manage, or an { error } describing why not
+async function getManagedCourse(courseId, user, { roles } = {}) {
+  const courseResult = await dbPool.query('SELECT * FROM courses WHERE id = $1', [courseId]);
+  
+  if (courseResult.rows.length === 0) {
+    return { error: { status: 404, message: 'Course not found' } };
+  }
+  
+  if (!(await canManageCourse(courseResult.rows[0].id, user, roles))) {
+    return { error: { status: 403, message: 'Access denied to this course' } };
+  }
+  
+  return { course: courseResult.rows[0] };
+}
+
+// Grades lock when the course's term is closed out. Admins may still change them,
+// but must give a reason so the override shows up in the grade audit log.
+function checkGradeLock(course, user, changeReason) {
+  if (!course.grades_locked_at) {
+    return null;
+  }
+  
+  if (!user.groups.includes('admins')) {
+    return { status: 409, message: 'Grades for this course are locked after term close-out; contact an administrator' };
+  }
+  
+  if (!changeReason) {
+    return { status: 422, message: 'A changeReason is required to change grades after term close-out' };
+  }
+  
+  return null;
+}
+
+async function getAssignmentWithCourse(assignmentId) {
+  const result = await dbPool.query(`
+    SELECT a.*, c.instructor_id, c.course_code, c.grades_locked_at
+    FROM assignments a
+    JOIN courses c ON a.course_id = c.id
+    WHERE a.id = $1
+  `, [assignmentId]);
+
+  return result.rows[0] || null;
+}
+
 // =============================================================================
 // Health Check Endpoint
 // =============================================================================
@@ -370,18 +537,22 @@ app.get('/api/v1/students/:id',
                AVG(g.percentage) as overall_average
         FROM students s
         LEFT JOIN enrollments e ON s.id = e.student_id AND e.status = 'active'
-        LEFT JOIN grades g ON s.id = g.student_id AND g.status = 'graded'
+        LEFT JOIN grades g ON s.id = g.student_id AND g.status = ANY($2::text[])
         WHERE s.id = $1
       `;
       
       // Students can only access their own data
       if (!isTeacherOrAdmin) {
-        query += ` AND s.user_id = $2`;
+        query += ` AND s.user_id = $3`;
       }
       
       query += ` GROUP BY s.id`;
       
-      const params = isTeacherOrAdmin ? [studentId] : [studentId, req.user.id];
+      // Students only see grades that have been released to them
+      const visibleStatuses = isTeacherOrAdmin ? SCORED_GRADE_STATUSES : RELEASED_GRADE_STATUSES;
+      const params = isTeacherOrAdmin
+        ? [studentId, visibleStatuses]
+        : [studentId, visibleStatuses, req.user.id];
       const result = await dbPool.query(query, params);
       
       if (result.rows.length === 0) {
@@ -396,6 +567,38 @@ app.get('/api/v1/students/:id',
   }
 );
 
+// Assign or clear a student's academic advisor, who receives the student's at-risk alerts
+app.put('/api/v1/students/:id/advisor',
+  authenticateToken,
+  requireRole(['admins']),
+  [
+    param('id').isInt(),
+    body('advisorId').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 255 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (req.body.advisorId === undefined) {
+        return res.status(400).json({ error: 'advisorId is required; pass null to clear the advisor' });
+      }
+      
+      const result = await dbPool.query(
+        'UPDATE students SET advisor_id = $1 WHERE id = $2 RETURNING id, student_number, first_name, last_name, advisor_id',
+        [req.body.advisorId, req.params.id]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error updating student advisor:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 // =============================================================================
 // API Routes - Courses
 // =============================================================================
@@ -446,9 +649,9 @@ app.get('/api/v1/courses',
         params.push(req.query.year);
       }
       
-      // Filter by instructor for teachers
+      // Teachers see the courses they are on the staff of
       if (req.user.groups.includes('teachers') && !req.user.groups.includes('admins')) {
-        conditions.push(`c.instructor_id = $${params.length + 1}`);
+        conditions.push(courseStaffCondition(`$${params.length + 1}`));
         params.push(req.user.id);
       }
       
@@ -487,276 +690,6763 @@ app.get('/api/v1/courses',
   }
 );
 
-// =============================================================================
-// API Routes - Assignments
-// =============================================================================
-
-// Get assignments for a course
-app.get('/api/v1/courses/:courseId/assignments',
+// Get a single course
+app.get('/api/v1/courses/:id',
   authenticateToken,
-  [param('courseId').isInt()],
+  [param('id').isInt()],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const courseId = req.params.courseId;
-      
-      // Check if user has access to this course
-      const accessQuery = `
-        SELECT c.* FROM courses c
-        LEFT JOIN enrollments e ON c.id = e.course_id AND e.student_id = (
-          SELECT id FROM students WHERE user_id = $2
-        )
-        WHERE c.id = $1 AND (
-          c.instructor_id = $2 OR 
-          e.id IS NOT NULL OR 
-          $3 = ANY($4::text[])
-        )
+      const query = `
+        SELECT c.*,
+               COUNT(DISTINCT e.student_id) FILTER (WHERE e.status = 'active') as enrolled_students
+        FROM courses c
+        LEFT JOIN enrollments e ON c.id = e.course_id
+        WHERE c.id = $1
+        GROUP BY c.id
       `;
       
-      const accessResult = await dbPool.query(accessQuery, [
-        courseId, 
-        req.user.id, 
-        'admins', 
-        req.user.groups
-      ]);
+      const result = await dbPool.query(query, [req.params.id]);
       
-      if (accessResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied to this course' });
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Course not found' });
       }
       
-      const query = `
-        SELECT a.*,
-               COUNT(g.id) as submissions,
-               AVG(g.percentage) as average_score
-        FROM assignments a
-        LEFT JOIN grades g ON a.id = g.assignment_id AND g.status = 'graded'
-        WHERE a.course_id = $1 AND a.is_published = true
-        GROUP BY a.id
-        ORDER BY a.due_date ASC, a.created_at ASC
-      `;
+      const course = result.rows[0];
       
-      const result = await dbPool.query(query, [courseId]);
-      res.json(result.rows);
+      // Anyone other than course staff or an admin must be enrolled in the course
+      if (!(await canManageCourse(course.id, req.user, COURSE_STAFF_ROLES))) {
+        const enrollmentResult = await dbPool.query(`
+          SELECT e.id FROM enrollments e
+          JOIN students s ON e.student_id = s.id
+          WHERE e.course_id = $1 AND s.user_id = $2
+        `, [course.id, req.user.id]);
+        
+        if (enrollmentResult.rows.length === 0) {
+          return res.status(403).json({ error: 'Access denied to this course' });
+        }
+      }
+      
+      res.json(course);
     } catch (error) {
-      console.error('Error fetching assignments:', error);
+      console.error('Error fetching course:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-// =============================================================================
-// API Routes - Grades
-// =============================================================================
+// Request body fields that map onto editable course columns
+const COURSE_FIELDS = {
+  courseCode: 'course_code',
+  courseName: 'course_name',
+  section: 'section',
+  description: 'description',
+  credits: 'credits',
+  instructorId: 'instructor_id',
+  department: 'department',
+  semester: 'semester',
+  year: 'year',
+  maxStudents: 'max_students',
+  waitlistClaimHours: 'waitlist_claim_hours',
+  status: 'status'
+};
 
-// Get grades for a student
-app.get('/api/v1/students/:studentId/grades',
+// Only admins may reassign the instructor, change a course's lifecycle status or set its waitlist policy
+const ADMIN_ONLY_COURSE_FIELDS = ['instructorId', 'status', 'waitlistClaimHours'];
+
+function courseValidators({ partial }) {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  
+  return [
+    required('courseCode').isString().trim().isLength({ min: 1, max: 20 }),
+    required('courseName').isString().trim().isLength({ min: 1, max: 200 }),
+    body('section').optional().isString().trim().isLength({ min: 1, max: 10 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('credits').optional().isInt({ min: 1 }),
+    body('instructorId').optional({ nullable: true }).isString(),
+    body('department').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    required('semester').isIn(['fall', 'spring', 'summer']),
+    required('year').isInt({ min: 2020 }),
+    body('maxStudents').optional().isInt({ min: 1 }),
+    body('waitlistClaimHours').optional({ nullable: true }).isInt({ min: 1, max: 720 }),
+    body('status').optional().isIn(['active', 'inactive', 'archived'])
+  ];
+}
+
+// Create a course
+app.post('/api/v1/courses',
   authenticateToken,
-  [
-    param('studentId').isInt(),
-    query('courseId').optional().isInt()
-  ],
+  requireRole(['admins']),
+  courseValidators({ partial: false }),
   handleValidationErrors,
   async (req, res) => {
     try {
-      const studentId = req.params.studentId;
-      const courseId = req.query.courseId;
-      
-      // Check access permissions
-      const isTeacherOrAdmin = req.user.groups.some(group => ['teachers', 'admins'].includes(group));
-      const studentQuery = await dbPool.query('SELECT user_id FROM students WHERE id = $1', [studentId]);
-      
-      if (studentQuery.rows.length === 0) {
-        return res.status(404).json({ error: 'Student not found' });
-      }
-      
-      const isOwnData = studentQuery.rows[0].user_id === req.user.id;
+      const columns = [];
+      const params = [];
       
-      if (!isTeacherOrAdmin && !isOwnData) {
-        return res.status(403).json({ error: 'Access denied' });
+      for (const [field, column] of Object.entries(COURSE_FIELDS)) {
+        if (req.body[field] !== undefined) {
+          columns.push(column);
+          params.push(req.body[field]);
+        }
       }
       
-      let query = `
-        SELECT g.*, 
-               a.title as assignment_title, 
-               a.max_score, 
-               a.assignment_type,
-               a.due_date,
-               c.course_name, 
-               c.course_code
-        FROM grades g
-        JOIN assignments a ON g.assignment_id = a.id
-        JOIN courses c ON a.course_id = c.id
-        WHERE g.student_id = $1
-      `;
-      
-      const params = [studentId];
-      
-      if (courseId) {
-        query += ` AND c.id = $${params.length + 1}`;
-        params.push(courseId);
-      }
+      const placeholders = params.map((_, index) => `$${index + 1}`);
+      const result = await dbPool.query(
+        `INSERT INTO courses (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        params
+      );
       
-      query += ` ORDER BY g.created_at DESC`;
+      await sendMetricToCloudWatch('CourseCreated', 1, 'Count');
       
-      const result = await dbPool.query(query, params);
-      res.json(result.rows);
+      res.status(201).json(result.rows[0]);
     } catch (error) {
-      console.error('Error fetching grades:', error);
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A course with this course code and section already exists for this term' });
+      }
+      console.error('Error creating course:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-// Create or update a grade
-app.post('/api/v1/grades',
+// Update a course; admins use this to assign instructors and archive courses
+app.patch('/api/v1/courses/:id',
   authenticateToken,
   requireRole(['teachers', 'admins']),
-  [
-    body('studentId').isInt(),
-    body('assignmentId').isInt(),
-    body('score').isFloat({ min: 0 }),
-    body('feedback').optional().isString()
-  ],
+  [param('id').isInt(), ...courseValidators({ partial: true })],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { studentId, assignmentId, score, feedback } = req.body;
+      const courseResult = await dbPool.query('SELECT * FROM courses WHERE id = $1', [req.params.id]);
       
-      // Verify teacher has access to this assignment
-      const assignmentQuery = `
-        SELECT a.*, c.instructor_id 
-        FROM assignments a 
-        JOIN courses c ON a.course_id = c.id 
-        WHERE a.id = $1
-      `;
+      if (courseResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
       
-      const assignmentResult = await dbPool.query(assignmentQuery, [assignmentId]);
+      const course = courseResult.rows[0];
       
-      if (assignmentResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Assignment not found' });
+      if (!(await canManageCourse(course.id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
       }
       
-      const assignment = assignmentResult.rows[0];
+      const isAdmin = req.user.groups.includes('admins');
+      const restrictedField = ADMIN_ONLY_COURSE_FIELDS.find(field => req.body[field] !== undefined);
       
-      // Check if user is instructor or admin
-      if (assignment.instructor_id !== req.user.id && !req.user.groups.includes('admins')) {
-        return res.status(403).json({ error: 'Access denied' });
+      if (restrictedField && !isAdmin) {
+        return res.status(403).json({ error: `Only admins can change ${restrictedField}` });
       }
       
-      // Validate score doesn't exceed max_score
-      if (score > assignment.max_score) {
-        return res.status(400).json({ 
-          error: `Score cannot exceed maximum score of ${assignment.max_score}` 
-        });
+      const setClauses = [];
+      const params = [];
+      
+      for (const [field, column] of Object.entries(COURSE_FIELDS)) {
+        if (req.body[field] !== undefined) {
+          setClauses.push(`${column} = $${params.length + 1}`);
+          params.push(req.body[field]);
+        }
       }
       
-      // Insert or update grade
-      const gradeQuery = `
-        INSERT INTO grades (student_id, assignment_id, score, feedback, graded_by, graded_at, status)
-        VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, 'graded')
-        ON CONFLICT (student_id, assignment_id)
-        DO UPDATE SET 
-          score = EXCLUDED.score,
-          feedback = EXCLUDED.feedback,
-          graded_by = EXCLUDED.graded_by,
-          graded_at = EXCLUDED.graded_at,
-          status = EXCLUDED.status,
-          updated_at = CURRENT_TIMESTAMP
-        RETURNING *
-      `;
+      if (setClauses.length === 0) {
+        return res.status(400).json({ error: 'No updatable fields provided' });
+      }
       
-      const gradeResult = await dbPool.query(gradeQuery, [
-        studentId, assignmentId, score, feedback, req.user.id
-      ]);
+      if (req.body.maxStudents !== undefined) {
+        const activeCount = await countActiveEnrollments(dbPool, course.id);
+        
+        if (req.body.maxStudents < activeCount) {
+          return res.status(409).json({
+            error: `Max students cannot be lower than the ${activeCount} active enrollments`
+          });
+        }
+      }
       
-      // Send metric to CloudWatch
-      await sendMetricToCloudWatch('GradeCreated', 1, 'Count');
+      params.push(course.id);
+      const result = await dbPool.query(
+        `UPDATE courses SET ${setClauses.join(', ')} WHERE id = $${params.length} RETURNING *`,
+        params
+      );
       
-      res.status(201).json(gradeResult.rows[0]);
+      // Extra seats go to the waitlist first
+      if (req.body.maxStudents > course.max_students) {
+        await processCourseWaitlist(course.id);
+      }
+      
+      res.json(result.rows[0]);
     } catch (error) {
-      console.error('Error creating/updating grade:', error);
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A course with this course code and section already exists for this term' });
+      }
+      console.error('Error updating course:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-// =============================================================================
-// API Routes - Reports
-// =============================================================================
-
-// Get grade report for a course
-app.get('/api/v1/courses/:courseId/reports',
+// Delete a course that has never had enrollments; otherwise it should be archived
+app.delete('/api/v1/courses/:id',
   authenticateToken,
-  requireRole(['teachers', 'admins']),
+  requireRole(['admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const enrollmentCount = await dbPool.query(
+        'SELECT COUNT(*) FROM enrollments WHERE course_id = $1',
+        [req.params.id]
+      );
+      
+      if (parseInt(enrollmentCount.rows[0].count) > 0) {
+        return res.status(409).json({
+          error: 'Course has enrollment history; archive it instead of deleting it'
+        });
+      }
+      
+      const result = await dbPool.query('DELETE FROM courses WHERE id = $1 RETURNING id', [req.params.id]);
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+      
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting course:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Copy a course shell into a new term: assignments (as unpublished drafts with due dates
+// shifted by dueDateOffsetDays), grade categories and their mappings, the grade scale and
+// the participation policy. Grades and enrollments are never copied.
+async function cloneCourse(client, source, target, offsetDays) {
+  const courseResult = await client.query(`
+    INSERT INTO courses (
+      course_code, course_name, section, description, credits, instructor_id,
+      department, semester, year, max_students
+    )
+    SELECT course_code, COALESCE($2, course_name), COALESCE($3, section), description, credits,
+           COALESCE($4, instructor_id), department, $5, $6, max_students
+    FROM courses WHERE id = $1
+    RETURNING *
+  `, [source.id, target.courseName, target.section, target.instructorId, target.semester, target.year]);
+  
+  const course = courseResult.rows[0];
+  
+  const categoryIds = new Map();
+  const categoriesResult = await client.query(
+    'SELECT * FROM grade_categories WHERE course_id = $1 ORDER BY id',
+    [source.id]
+  );
+  
+  for (const category of categoriesResult.rows) {
+    const inserted = await client.query(`
+      INSERT INTO grade_categories (course_id, name, weight, drop_lowest, description)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [course.id, category.name, category.weight, category.drop_lowest, category.description]);
+    
+    categoryIds.set(category.id, inserted.rows[0].id);
+  }
+  
+  const rubricIds = new Map();
+  const rubricsResult = await client.query('SELECT id FROM rubrics WHERE course_id = $1 ORDER BY id', [source.id]);
+  
+  for (const { id } of rubricsResult.rows) {
+    const rubric = await loadRubric(client, id);
+    const inserted = await client.query(`
+      INSERT INTO rubrics (course_id, title, description, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [course.id, rubric.title, rubric.description, rubric.created_by]);
+    
+    await insertRubricCriteria(client, inserted.rows[0].id, rubric.criteria);
+    rubricIds.set(id, inserted.rows[0].id);
+  }
+  
+  const assignmentIds = new Map();
+  const assignmentsResult = await client.query(
+    'SELECT * FROM assignments WHERE course_id = $1 ORDER BY due_date ASC NULLS LAST, id ASC',
+    [source.id]
+  );
+  const assignments = [];
+  
+  for (const assignment of assignmentsResult.rows) {
+    const inserted = await client.query(`
+      INSERT INTO assignments (
+        course_id, title, description, max_score, due_date, assignment_type, weight,
+        is_published, allow_late_submission, late_penalty_percent, is_extra_credit, rubric_id,
+        anonymous_grading, second_marking, moderation_threshold
+      )
+      VALUES ($1, $2, $3, $4, $5::timestamp + make_interval(days => $6), $7, $8, false, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING id, title, due_date
+    `, [
+      course.id,
+      assignment.title,
+      assignment.description,
+      assignment.max_score,
+      assignment.due_date,
+      offsetDays,
+      assignment.assignment_type,
+      assignment.weight,
+      assignment.allow_late_submission,
+      assignment.late_penalty_percent,
+      assignment.is_extra_credit,
+      assignment.rubric_id === null ? null : rubricIds.get(assignment.rubric_id),
+      assignment.anonymous_grading,
+      assignment.second_marking,
+      assignment.moderation_threshold
+    ]);
+    
+    assignmentIds.set(assignment.id, inserted.rows[0].id);
+    assignments.push({
+      source_id: assignment.id,
+      id: inserted.rows[0].id,
+      title: inserted.rows[0].title,
+      source_due_date: assignment.due_date,
+      due_date: inserted.rows[0].due_date
+    });
+  }
+  
+  const sourceMappings = await client.query(`
+    SELECT ac.assignment_id, ac.category_id
+    FROM assignment_categories ac
+    JOIN assignments a ON ac.assignment_id = a.id
+    WHERE a.course_id = $1
+  `, [source.id]);
+  
+  const mappingsResult = await client.query(`
+    INSERT INTO assignment_categories (assignment_id, category_id)
+    SELECT * FROM UNNEST($1::int[], $2::int[])
+  `, [
+    sourceMappings.rows.map(row => assignmentIds.get(row.assignment_id)),
+    sourceMappings.rows.map(row => categoryIds.get(row.category_id))
+  ]);
+  
+  const scaleResult = await client.query(`
+    INSERT INTO grade_scales (course_id, letter_grade, min_percentage, max_percentage, gpa_points, description)
+    SELECT $2, letter_grade, min_percentage, max_percentage, gpa_points, description
+    FROM grade_scales WHERE course_id = $1
+    RETURNING id
+  `, [source.id, course.id]);
+  
+  const policyResult = await client.query(`
+    SELECT assignment_id, late_credit, full_credit_percentage
+    FROM participation_policies WHERE course_id = $1
+  `, [source.id]);
+  
+  if (policyResult.rows.length > 0) {
+    const policy = policyResult.rows[0];
+    await client.query(`
+      INSERT INTO participation_policies (course_id, assignment_id, late_credit, full_credit_percentage)
+      VALUES ($1, $2, $3, $4)
+    `, [
+      course.id,
+      policy.assignment_id === null ? null : assignmentIds.get(policy.assignment_id),
+      policy.late_credit,
+      policy.full_credit_percentage
+    ]);
+  }
+  
+  return {
+    source_course_id: source.id,
+    course,
+    due_date_offset_days: offsetDays,
+    copied: {
+      assignments: assignments.length,
+      grade_categories: categoryIds.size,
+      rubrics: rubricIds.size,
+      category_mappings: mappingsResult.rowCount,
+      grade_scale_bands: scaleResult.rowCount,
+      participation_policy: policyResult.rows.length > 0
+    },
+    assignments,
+    not_copied: ['grades', 'enrollments']
+  };
+}
+
+// Clone a course into a new term
+app.post('/api/v1/courses/:id/clone',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('semester').isIn(['fall', 'spring', 'summer']),
+    body('year').isInt({ min: 2020 }).toInt(),
+    body('dueDateOffsetDays').isInt({ min: -3650, max: 3650 }).toInt(),
+    body('section').optional().isString().trim().isLength({ min: 1, max: 10 }),
+    body('courseName').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    body('instructorId').optional().isString()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.id, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      if (req.body.instructorId !== undefined && !req.user.groups.includes('admins')) {
+        return res.status(403).json({ error: 'Only admins can change instructorId' });
+      }
+      
+      const report = await withTransaction(client => cloneCourse(client, course, {
+        semester: req.body.semester,
+        year: req.body.year,
+        section: req.body.section || null,
+        courseName: req.body.courseName || null,
+        instructorId: req.body.instructorId || null
+      }, req.body.dueDateOffsetDays));
+      
+      await sendMetricToCloudWatch('CourseCloned', 1, 'Count');
+      
+      res.status(201).json(report);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A course with this course code and section already exists for this term' });
+      }
+      console.error('Error cloning course:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Course Staff
+// =============================================================================
+
+// List a course's instructors, co-instructors and TAs
+app.get('/api/v1/courses/:courseId/staff',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { error } = await getManagedCourse(req.params.courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const result = await dbPool.query(`
+        SELECT * FROM course_staff
+        WHERE course_id = $1
+        ORDER BY CASE role WHEN 'instructor' THEN 0 WHEN 'co_instructor' THEN 1 ELSE 2 END, created_at
+      `, [req.params.courseId]);
+      
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching course staff:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Add a co-instructor or TA, or change their role. A TA with assignmentIds may only
+// grade those assignments; without, they may grade every assignment in the course.
+// The primary instructor is set through the course's instructorId instead.
+app.put('/api/v1/courses/:courseId/staff/:userId',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    param('userId').isString().trim().isLength({ min: 1, max: 255 }),
+    body('role').isIn(['co_instructor', 'ta']),
+    body('assignmentIds').optional({ nullable: true }).isArray({ min: 1 }),
+    body('assignmentIds.*').isInt().toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const { userId } = req.params;
+      const { role } = req.body;
+      const assignmentIds = req.body.assignmentIds ? [...new Set(req.body.assignmentIds)] : null;
+      
+      if (userId === course.instructor_id) {
+        return res.status(409).json({ error: 'The primary instructor is changed through the course instructorId' });
+      }
+      
+      if (assignmentIds && role !== 'ta') {
+        return res.status(400).json({ error: 'assignmentIds only applies to TAs' });
+      }
+      
+      if (assignmentIds) {
+        const assignmentsResult = await dbPool.query(
+          'SELECT id FROM assignments WHERE course_id = $1 AND id = ANY($2::int[])',
+          [course.id, assignmentIds]
+        );
+        const found = new Set(assignmentsResult.rows.map(row => row.id));
+        const unknown = assignmentIds.filter(id => !found.has(id));
+        
+        if (unknown.length > 0) {
+          return res.status(400).json({ error: 'assignmentIds must belong to this course', unknown_assignment_ids: unknown });
+        }
+      }
+      
+      const result = await dbPool.query(`
+        INSERT INTO course_staff (course_id, user_id, role, assignment_ids, added_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (course_id, user_id)
+        DO UPDATE SET role = EXCLUDED.role, assignment_ids = EXCLUDED.assignment_ids
+        RETURNING *
+      `, [course.id, userId, role, assignmentIds, req.user.id]);
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error saving course staff member:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Remove a co-instructor or TA from a course
+app.delete('/api/v1/courses/:courseId/staff/:userId',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    param('userId').isString().trim().isLength({ min: 1, max: 255 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      if (req.params.userId === course.instructor_id) {
+        return res.status(409).json({ error: 'The primary instructor is changed through the course instructorId' });
+      }
+      
+      const result = await dbPool.query(
+        'DELETE FROM course_staff WHERE course_id = $1 AND user_id = $2 RETURNING *',
+        [course.id, req.params.userId]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Staff member not found' });
+      }
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error removing course staff member:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Enrollments
+// =============================================================================
+
+async function countActiveEnrollments(client, courseId) {
+  const result = await client.query(
+    "SELECT COUNT(*) FROM enrollments WHERE course_id = $1 AND status = 'active'",
+    [courseId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// Insert or re-activate an enrollment, clearing any earlier drop or withdrawal
+async function enrollStudent(client, courseId, studentId) {
+  const result = await client.query(`
+    INSERT INTO enrollments (student_id, course_id, status, enrollment_date)
+    VALUES ($1, $2, 'active', CURRENT_TIMESTAMP)
+    ON CONFLICT (student_id, course_id)
+    DO UPDATE SET
+      status = 'active',
+      enrollment_date = CURRENT_TIMESTAMP,
+      dropped_at = NULL,
+      withdrawn_at = NULL
+    RETURNING *
+  `, [studentId, courseId]);
+  
+  return result.rows[0];
+}
+
+// Get enrollments for a course
+app.get('/api/v1/courses/:courseId/enrollments',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('status').optional().isIn(['active', 'dropped', 'completed', 'withdrawn'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { error } = await getManagedCourse(req.params.courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      let query = `
+        SELECT e.*, s.student_number, s.first_name, s.last_name, s.email
+        FROM enrollments e
+        JOIN students s ON e.student_id = s.id
+        WHERE e.course_id = $1
+      `;
+      const params = [req.params.courseId];
+      
+      if (req.query.status) {
+        query += ` AND e.status = $${params.length + 1}`;
+        params.push(req.query.status);
+      }
+      
+      query += ' ORDER BY s.last_name, s.first_name';
+      
+      const result = await dbPool.query(query, params);
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching enrollments:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Enroll a student in a course, re-activating a previous drop or withdrawal
+app.post('/api/v1/courses/:courseId/enrollments',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    body('studentId').isInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const { studentId } = req.body;
+      
+      const outcome = await withTransaction(async (client) => {
+        // Lock the course row so concurrent enrollments cannot exceed max_students
+        const courseResult = await client.query(
+          'SELECT * FROM courses WHERE id = $1 FOR UPDATE',
+          [courseId]
+        );
+        
+        if (courseResult.rows.length === 0) {
+          return { status: 404, body: { error: 'Course not found' } };
+        }
+        
+        const course = courseResult.rows[0];
+        
+        if (!(await canManageCourse(course.id, req.user))) {
+          return { status: 403, body: { error: 'Access denied' } };
+        }
+        
+        if (course.status !== 'active') {
+          return { status: 409, body: { error: `Cannot enroll in a course that is ${course.status}` } };
+        }
+        
+        // Lapsed offers still hold an open waitlist entry until expired, which would
+        // block re-waitlisting the student and outlive their enrollment
+        const expired = await expireLapsedOffers(client, course.id);
+        
+        const studentResult = await client.query('SELECT id FROM students WHERE id = $1', [studentId]);
+        
+        if (studentResult.rows.length === 0) {
+          return { status: 404, body: { error: 'Student not found' } };
+        }
+        
+        const existingResult = await client.query(
+          'SELECT * FROM enrollments WHERE course_id = $1 AND student_id = $2',
+          [courseId, studentId]
+        );
+        const existing = existingResult.rows[0];
+        
+        if (existing && existing.status === 'active') {
+          return { status: 409, body: { error: 'Student is already enrolled in this course' } };
+        }
+        
+        if (existing && existing.status === 'completed') {
+          return { status: 409, body: { error: 'Student has already completed this course' } };
+        }
+        
+        const entry = await getOpenWaitlistEntry(client, courseId, studentId);
+        
+        // A student holding a seat offer takes their held seat
+        if (!entry || entry.status !== 'offered') {
+          const { activeCount, heldCount } = await getSeatUsage(client, courseId);
+          const waiting = await getWaitingStudents(client, courseId);
+          // Students ahead in the queue get open seats first
+          const ahead = entry ? waiting.findIndex(row => row.id === entry.id) : waiting.length;
+          
+          if (activeCount + heldCount + ahead >= course.max_students) {
+            if (entry) {
+              return {
+                status: 409,
+                body: { error: `Course is full; student is already waitlisted at position ${ahead + 1}` }
+              };
+            }
+            
+            const waitlisted = await addToWaitlist(client, courseId, studentId, req.user.id);
+            
+            return {
+              status: 202,
+              body: {
+                enrolled: false,
+                message: `Course is full (${course.max_students} students); student added to the waitlist`,
+                waitlist_entry: { ...waitlisted, rank: waiting.length + 1 }
+              },
+              course,
+              expired
+            };
+          }
+        }
+        
+        const enrollment = await enrollStudent(client, courseId, studentId);
+        
+        if (entry) {
+          await resolveWaitlistEntry(client, entry.id, 'enrolled');
+        }
+        
+        return { status: 201, body: enrollment, course, expired };
+      });
+      
+      // The student being enrolled is dealt with here, so only others hear about lapsed offers
+      const othersExpired = (outcome.expired || []).filter(entry => entry.student_id !== parseInt(studentId));
+      
+      if (othersExpired.length > 0) {
+        await notifyWaitlistPromotions(outcome.course, { expired: othersExpired, promoted: [] });
+      }
+      
+      if (outcome.status === 201) {
+        await sendMetricToCloudWatch('StudentEnrolled', 1, 'Count');
+      } else if (outcome.status === 202) {
+        await sendMetricToCloudWatch('StudentWaitlisted', 1, 'Count');
+      }
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error enrolling student:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Drop or withdraw a student from a course
+app.patch('/api/v1/courses/:courseId/enrollments/:studentId',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    param('studentId').isInt(),
+    body('status').isIn(['dropped', 'withdrawn'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { courseId, studentId } = req.params;
+      const { status } = req.body;
+      
+      const { error } = await getManagedCourse(courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const dateColumn = status === 'dropped' ? 'dropped_at' : 'withdrawn_at';
+      
+      const outcome = await withTransaction(async (client) => {
+        // Same lock as enrollment, so the freed seat is promoted exactly once
+        const courseResult = await client.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+        
+        const result = await client.query(`
+          UPDATE enrollments
+          SET status = $1, ${dateColumn} = CURRENT_TIMESTAMP
+          WHERE course_id = $2 AND student_id = $3 AND status = 'active'
+          RETURNING *
+        `, [status, courseId, studentId]);
+        
+        if (result.rows.length === 0) {
+          return { status: 404, body: { error: 'Active enrollment not found' } };
+        }
+        
+        const promotions = await fillOpenSeats(client, courseResult.rows[0]);
+        
+        return { status: 200, body: result.rows[0], course: courseResult.rows[0], promotions };
+      });
+      
+      if (outcome.promotions) {
+        await notifyWaitlistPromotions(outcome.course, outcome.promotions);
+      }
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error updating enrollment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Waitlists
+// =============================================================================
+
+// Full courses queue further enrollments on a ranked waitlist. When a seat opens, the next
+// waiting student is enrolled directly, or, if the course sets waitlist_claim_hours, offered
+// the seat until a claim deadline after which it passes to the next student.
+
+const WAITLIST_PROCESSING_LOCK_ID = 7140518;
+
+// A student's waiting entry or unexpired seat offer in a course
+async function getOpenWaitlistEntry(client, courseId, studentId) {
+  const result = await client.query(`
+    SELECT * FROM waitlist_entries
+    WHERE course_id = $1 AND student_id = $2
+      AND (status = 'waiting' OR (status = 'offered' AND claim_deadline > CURRENT_TIMESTAMP))
+    FOR UPDATE
+  `, [courseId, studentId]);
+  
+  return result.rows[0] || null;
+}
+
+// Seats taken by active enrollments and seats held for unexpired offers
+async function getSeatUsage(client, courseId) {
+  const heldResult = await client.query(`
+    SELECT COUNT(*) FROM waitlist_entries
+    WHERE course_id = $1 AND status = 'offered' AND claim_deadline > CURRENT_TIMESTAMP
+  `, [courseId]);
+  
+  return {
+    activeCount: await countActiveEnrollments(client, courseId),
+    heldCount: parseInt(heldResult.rows[0].count)
+  };
+}
+
+// Waiting entries in queue order
+async function getWaitingStudents(client, courseId) {
+  const result = await client.query(`
+    SELECT id, student_id, position FROM waitlist_entries
+    WHERE course_id = $1 AND status = 'waiting'
+    ORDER BY position, id
+  `, [courseId]);
+  
+  return result.rows;
+}
+
+async function addToWaitlist(client, courseId, studentId, createdBy) {
+  const result = await client.query(`
+    INSERT INTO waitlist_entries (course_id, student_id, position, created_by)
+    SELECT $1, $2, COALESCE(MAX(position), 0) + 1, $3
+    FROM waitlist_entries
+    WHERE course_id = $1 AND status = 'waiting'
+    RETURNING *
+  `, [courseId, studentId, createdBy]);
+  
+  return result.rows[0];
+}
+
+async function resolveWaitlistEntry(client, entryId, status) {
+  const result = await client.query(`
+    UPDATE waitlist_entries
+    SET status = $2, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [entryId, status]);
+  
+  return result.rows[0];
+}
+
+// Close offers whose claim deadline has passed, returning them with the student's user_id
+async function expireLapsedOffers(client, courseId) {
+  const result = await client.query(`
+    UPDATE waitlist_entries w
+    SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+    FROM students s
+    WHERE w.student_id = s.id AND w.course_id = $1
+      AND w.status = 'offered' AND w.claim_deadline <= CURRENT_TIMESTAMP
+    RETURNING w.*, s.user_id
+  `, [courseId]);
+  
+  return result.rows;
+}
+
+// Expire lapsed offers and hand every open seat to the next waiting student. The caller
+// must hold the course row lock. Returns the entries to notify once the transaction commits.
+async function fillOpenSeats(client, course) {
+  const expired = await expireLapsedOffers(client, course.id);
+  const promoted = [];
+  
+  if (course.status !== 'active') {
+    return { expired, promoted };
+  }
+  
+  const { activeCount, heldCount } = await getSeatUsage(client, course.id);
+  const openSeats = course.max_students - activeCount - heldCount;
+  
+  if (openSeats <= 0) {
+    return { expired, promoted };
+  }
+  
+  const nextResult = await client.query(`
+    SELECT w.id, w.student_id, s.user_id
+    FROM waitlist_entries w
+    JOIN students s ON w.student_id = s.id
+    WHERE w.course_id = $1 AND w.status = 'waiting'
+    ORDER BY w.position, w.id
+    LIMIT $2
+    FOR UPDATE OF w
+  `, [course.id, openSeats]);
+  
+  for (const next of nextResult.rows) {
+    let entry;
+    
+    if (course.waitlist_claim_hours) {
+      const offerResult = await client.query(`
+        UPDATE waitlist_entries
+        SET status = 'offered',
+            offered_at = CURRENT_TIMESTAMP,
+            claim_deadline = CURRENT_TIMESTAMP + make_interval(hours => $2)
+        WHERE id = $1
+        RETURNING *
+      `, [next.id, course.waitlist_claim_hours]);
+      entry = offerResult.rows[0];
+    } else {
+      await enrollStudent(client, course.id, next.student_id);
+      entry = await resolveWaitlistEntry(client, next.id, 'enrolled');
+    }
+    
+    promoted.push({ ...entry, user_id: next.user_id });
+  }
+  
+  return { expired, promoted };
+}
+
+// Tell students their seat offer lapsed, or that they were promoted off the waitlist
+async function notifyWaitlistPromotions(course, { expired, promoted }) {
+  const notifications = [
+    ...expired.map(entry => ({
+      userId: entry.user_id,
+      title: `Seat offer expired: ${course.course_code}`,
+      message: `Your seat offer for ${course.course_code} was not claimed by the deadline and has passed to the next student on the waitlist.`,
+      metadata: { courseId: course.id, waitlistEntryId: entry.id }
+    })),
+    ...promoted.map(entry => ({
+      userId: entry.user_id,
+      title: entry.status === 'offered'
+        ? `Seat available: ${course.course_code}`
+        : `Enrolled from waitlist: ${course.course_code}`,
+      message: entry.status === 'offered'
+        ? `A seat opened in ${course.course_code} ${course.course_name}. Claim it by ${new Date(entry.claim_deadline).toISOString()} or it will go to the next student on the waitlist.`
+        : `A seat opened in ${course.course_code} ${course.course_name} and you have been enrolled from the waitlist.`,
+      priority: entry.status === 'offered' ? 'high' : 'medium',
+      metadata: { courseId: course.id, waitlistEntryId: entry.id, claimDeadline: entry.claim_deadline }
+    }))
+  ];
+  
+  await Promise.all(notifications.map(notification => publishNotification({ ...notification, type: 'system' })));
+}
+
+// Lock a course and fill its open seats, notifying the affected students after commit
+async function processCourseWaitlist(courseId) {
+  const outcome = await withTransaction(async (client) => {
+    const courseResult = await client.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+    
+    if (courseResult.rows.length === 0) {
+      return null;
+    }
+    
+    return { course: courseResult.rows[0], promotions: await fillOpenSeats(client, courseResult.rows[0]) };
+  });
+  
+  if (outcome) {
+    await notifyWaitlistPromotions(outcome.course, outcome.promotions);
+  }
+  
+  return outcome ? outcome.promotions : { expired: [], promoted: [] };
+}
+
+// Expire lapsed offers and fill open seats in every course with an open waitlist
+async function runWaitlistProcessing() {
+  const courseResult = await dbPool.query(`
+    SELECT DISTINCT course_id FROM waitlist_entries
+    WHERE status = 'waiting' OR (status = 'offered' AND claim_deadline <= CURRENT_TIMESTAMP)
+  `);
+  
+  const summary = { courses_processed: 0, offers_expired: 0, students_promoted: 0 };
+  
+  for (const { course_id: courseId } of courseResult.rows) {
+    try {
+      const { expired, promoted } = await processCourseWaitlist(courseId);
+      summary.courses_processed++;
+      summary.offers_expired += expired.length;
+      summary.students_promoted += promoted.length;
+    } catch (error) {
+      console.error(`Error processing waitlist for course ${courseId}:`, error);
+    }
+  }
+  
+  return summary;
+}
+
+// Get a course's waitlist; resolved entries are included on request
+app.get('/api/v1/courses/:courseId/waitlist',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('includeResolved').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const includeResolved = req.query.includeResolved === 'true';
+      const entryResult = await dbPool.query(`
+        SELECT w.*, s.student_number, s.first_name, s.last_name, s.email,
+               w.status = 'offered' AND w.claim_deadline <= CURRENT_TIMESTAMP as offer_lapsed
+        FROM waitlist_entries w
+        JOIN students s ON w.student_id = s.id
+        WHERE w.course_id = $1
+          ${includeResolved ? '' : "AND w.status IN ('waiting', 'offered')"}
+        ORDER BY CASE w.status WHEN 'offered' THEN 0 WHEN 'waiting' THEN 1 ELSE 2 END,
+                 w.position, w.id
+      `, [course.id]);
+      
+      const { activeCount, heldCount } = await getSeatUsage(dbPool, course.id);
+      let rank = 0;
+      
+      res.json({
+        course_id: course.id,
+        max_students: course.max_students,
+        active_enrollments: activeCount,
+        held_seats: heldCount,
+        claim_hours: course.waitlist_claim_hours,
+        entries: entryResult.rows.map(entry => ({
+          ...entry,
+          rank: entry.status === 'waiting' ? ++rank : null
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Reorder the waiting students; entryIds must list every waiting entry, first in line first
+app.put('/api/v1/courses/:courseId/waitlist/order',
+  authenticateToken,
+  requireRole(['admins']),
+  [
+    param('courseId').isInt(),
+    body('entryIds').isArray({ min: 1 }),
+    body('entryIds.*').isInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const entryIds = req.body.entryIds.map(id => parseInt(id));
+      
+      const outcome = await withTransaction(async (client) => {
+        const courseResult = await client.query('SELECT id FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+        
+        if (courseResult.rows.length === 0) {
+          return { status: 404, body: { error: 'Course not found' } };
+        }
+        
+        const waiting = await getWaitingStudents(client, courseId);
+        const waitingIds = new Set(waiting.map(entry => entry.id));
+        
+        if (new Set(entryIds).size !== entryIds.length ||
+            entryIds.length !== waitingIds.size ||
+            entryIds.some(id => !waitingIds.has(id))) {
+          return {
+            status: 400,
+            body: { error: 'entryIds must list each waiting entry in this course exactly once', waiting_entry_ids: [...waitingIds] }
+          };
+        }
+        
+        await client.query(`
+          UPDATE waitlist_entries w
+          SET position = ordered.position
+          FROM UNNEST($1::int[]) WITH ORDINALITY AS ordered(id, position)
+          WHERE w.id = ordered.id
+        `, [entryIds]);
+        
+        return { status: 200, body: { course_id: parseInt(courseId), order: entryIds } };
+      });
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error reordering waitlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Move an outstanding seat offer's claim deadline. A deadline in the past releases the
+// seat to the next student straight away.
+app.patch('/api/v1/courses/:courseId/waitlist/:entryId',
+  authenticateToken,
+  requireRole(['admins']),
+  [
+    param('courseId').isInt(),
+    param('entryId').isInt(),
+    body('claimDeadline').isISO8601()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await dbPool.query(`
+        UPDATE waitlist_entries
+        SET claim_deadline = $3
+        WHERE id = $1 AND course_id = $2 AND status = 'offered'
+        RETURNING *
+      `, [req.params.entryId, req.params.courseId, req.body.claimDeadline]);
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'No outstanding seat offer found for this entry' });
+      }
+      
+      const { expired, promoted } = await processCourseWaitlist(req.params.courseId);
+      
+      res.json({
+        ...result.rows[0],
+        ...(expired.some(entry => entry.id === result.rows[0].id) && { status: 'expired' }),
+        promoted_entry_ids: promoted.map(entry => entry.id)
+      });
+    } catch (error) {
+      console.error('Error updating waitlist entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Take a student off the waitlist; a seat they were offered goes to the next student
+app.delete('/api/v1/courses/:courseId/waitlist/:entryId',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    param('entryId').isInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const outcome = await withTransaction(async (client) => {
+        const courseResult = await client.query('SELECT * FROM courses WHERE id = $1 FOR UPDATE', [req.params.courseId]);
+        
+        const result = await client.query(`
+          UPDATE waitlist_entries
+          SET status = 'removed', resolved_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND course_id = $2 AND status IN ('waiting', 'offered')
+          RETURNING *
+        `, [req.params.entryId, req.params.courseId]);
+        
+        if (result.rows.length === 0) {
+          return { status: 404, body: { error: 'Open waitlist entry not found' } };
+        }
+        
+        const promotions = await fillOpenSeats(client, courseResult.rows[0]);
+        
+        return { status: 200, body: result.rows[0], course: courseResult.rows[0], promotions };
+      });
+      
+      if (outcome.promotions) {
+        await notifyWaitlistPromotions(outcome.course, outcome.promotions);
+      }
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error removing waitlist entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Claim a seat offered from the waitlist before its deadline
+app.post('/api/v1/courses/:courseId/waitlist/claim',
+  authenticateToken,
+  requireRole(['students']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      
+      const outcome = await withTransaction(async (client) => {
+        await client.query('SELECT id FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+        
+        const entryResult = await client.query(`
+          SELECT w.* FROM waitlist_entries w
+          JOIN students s ON w.student_id = s.id
+          WHERE w.course_id = $1 AND s.user_id = $2
+            AND w.status = 'offered' AND w.claim_deadline > CURRENT_TIMESTAMP
+          FOR UPDATE OF w
+        `, [courseId, req.user.id]);
+        
+        if (entryResult.rows.length === 0) {
+          return { status: 404, body: { error: 'No open seat offer found for this course' } };
+        }
+        
+        const entry = entryResult.rows[0];
+        const enrollment = await enrollStudent(client, courseId, entry.student_id);
+        await resolveWaitlistEntry(client, entry.id, 'enrolled');
+        
+        return { status: 201, body: enrollment };
+      });
+      
+      if (outcome.status === 201) {
+        await sendMetricToCloudWatch('StudentEnrolled', 1, 'Count');
+      }
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error claiming waitlist seat:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Assignments
+// =============================================================================
+
+// Get assignments for a course
+app.get('/api/v1/courses/:courseId/assignments',
+  authenticateToken,
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      
+      // Check if user has access to this course
+      const accessQuery = `
+        SELECT c.* FROM courses c
+        LEFT JOIN enrollments e ON c.id = e.course_id AND e.student_id = (
+          SELECT id FROM students WHERE user_id = $2
+        )
+        WHERE c.id = $1 AND (
+          ${courseStaffCondition('$2')} OR 
+          e.id IS NOT NULL OR 
+          $3 = ANY($4::text[])
+        )
+      `;
+      
+      const accessResult = await dbPool.query(accessQuery, [
+        courseId, 
+        req.user.id, 
+        'admins', 
+        req.user.groups
+      ]);
+      
+      if (accessResult.rows.length === 0) {
+        return res.status(403).json({ error: 'Access denied to this course' });
+      }
+      
+      // Course staff and admins also see unpublished (draft) assignments
+      const includeDrafts = await canManageCourse(courseId, req.user, COURSE_STAFF_ROLES);
+      
+      const query = `
+        SELECT a.*,
+               COUNT(g.id) as submissions,
+               AVG(g.percentage) as average_score
+        FROM assignments a
+        LEFT JOIN grades g ON a.id = g.assignment_id AND g.status = ANY($3::text[])
+        WHERE a.course_id = $1 AND (a.is_published = true OR $2)
+        GROUP BY a.id
+        ORDER BY a.due_date ASC, a.created_at ASC
+      `;
+      
+      const result = await dbPool.query(query, [
+        courseId,
+        includeDrafts,
+        includeDrafts ? SCORED_GRADE_STATUSES : RELEASED_GRADE_STATUSES
+      ]);
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching assignments:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Request body fields that map onto editable assignment columns
+const ASSIGNMENT_FIELDS = {
+  title: 'title',
+  description: 'description',
+  maxScore: 'max_score',
+  dueDate: 'due_date',
+  assignmentType: 'assignment_type',
+  weight: 'weight',
+  allowLateSubmission: 'allow_late_submission',
+  latePenaltyPercent: 'late_penalty_percent',
+  isExtraCredit: 'is_extra_credit'
+};
+
+// Fields that feed into final grades, so changing them is a grade change once grades lock
+const GRADE_INPUT_FIELDS = ['maxScore', 'weight', 'assignmentType', 'isExtraCredit'];
+
+// Column defaults applied when a PUT omits an optional field
+const ASSIGNMENT_DEFAULTS = {
+  description: null,
+  dueDate: null,
+  assignmentType: 'assignment',
+  weight: 1.0,
+  allowLateSubmission: false,
+  latePenaltyPercent: 0.0,
+  isExtraCredit: false
+};
+
+function assignmentValidators({ partial }) {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  
+  return [
+    required('title').isString().trim().isLength({ min: 1, max: 200 }),
+    required('maxScore').isFloat({ gt: 0, max: 999.99 })
+      .withMessage('Max score must be greater than 0 and at most 999.99'),
+    body('description').optional({ nullable: true }).isString(),
+    body('dueDate').optional({ nullable: true }).isISO8601(),
+    body('assignmentType').optional().isIn(['assignment', 'quiz', 'exam', 'project', 'participation']),
+    body('weight').optional().isFloat({ min: 0, max: 1 })
+      .withMessage('Weight must be between 0 and 1'),
+    body('allowLateSubmission').optional().isBoolean(),
+    body('latePenaltyPercent').optional().isFloat({ min: 0, max: 1 })
+      .withMessage('Late penalty percent must be between 0 and 1'),
+    body('isExtraCredit').optional().isBoolean()
+  ];
+}
+
+// Create an assignment in a course
+app.post('/api/v1/courses/:courseId/assignments',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    ...assignmentValidators({ partial: false }),
+    body('isPublished').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      
+      const { error } = await getManagedCourse(courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const values = { ...ASSIGNMENT_DEFAULTS, ...req.body };
+      
+      const insertQuery = `
+        INSERT INTO assignments (
+          course_id, title, description, max_score, due_date, assignment_type,
+          weight, allow_late_submission, late_penalty_percent, is_published, is_extra_credit
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `;
+      
+      const result = await dbPool.query(insertQuery, [
+        courseId,
+        values.title,
+        values.description,
+        values.maxScore,
+        values.dueDate,
+        values.assignmentType,
+        values.weight,
+        values.allowLateSubmission,
+        values.latePenaltyPercent,
+        values.isPublished === true,
+        values.isExtraCredit
+      ]);
+      
+      await sendMetricToCloudWatch('AssignmentCreated', 1, 'Count');
+      
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error('Error creating assignment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// A PUT resends every field, so compare against the stored values rather than presence
+function changesGradeInputs(assignment, values) {
+  return GRADE_INPUT_FIELDS.some(field => {
+    const current = assignment[ASSIGNMENT_FIELDS[field]];
+    
+    if (values[field] === undefined) return false;
+    if (field === 'maxScore' || field === 'weight') return parseFloat(values[field]) !== parseFloat(current);
+    return String(values[field]) !== String(current);
+  });
+}
+
+async function updateAssignment(req, res, values) {
+  const assignment = await getAssignmentWithCourse(req.params.id);
+  
+  if (!assignment) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+  
+  if (!(await canManageCourse(assignment.course_id, req.user))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  
+  const refinalize = Boolean(assignment.grades_locked_at) && changesGradeInputs(assignment, values);
+  
+  if (refinalize) {
+    const lockError = checkGradeLock(assignment, req.user, values.changeReason);
+    
+    if (lockError) {
+      return res.status(lockError.status).json({ error: lockError.message });
+    }
+  }
+  
+  const setClauses = [];
+  const params = [];
+  
+  for (const [field, column] of Object.entries(ASSIGNMENT_FIELDS)) {
+    if (values[field] !== undefined) {
+      setClauses.push(`${column} = $${params.length + 1}`);
+      params.push(values[field]);
+    }
+  }
+  
+  if (setClauses.length === 0) {
+    return res.status(400).json({ error: 'No updatable fields provided' });
+  }
+  
+  // Lowering max_score must not invalidate scores that were already entered
+  if (values.maxScore !== undefined) {
+    const maxGradeResult = await dbPool.query(
+      'SELECT MAX(COALESCE(raw_score, score)) as max_score FROM grades WHERE assignment_id = $1',
+      [assignment.id]
+    );
+    const highestScore = maxGradeResult.rows[0].max_score;
+    
+    if (highestScore !== null && parseFloat(highestScore) > values.maxScore) {
+      return res.status(409).json({
+        error: `Max score cannot be lower than an existing score of ${highestScore}`
+      });
+    }
+    
+    if (assignment.rubric_id) {
+      const fitError = checkRubricFits(
+        await loadRubric(dbPool, assignment.rubric_id),
+        { ...assignment, max_score: values.maxScore }
+      );
+      
+      if (fitError) {
+        return res.status(409).json({ error: fitError });
+      }
+    }
+  }
+  
+  params.push(assignment.id);
+  const updated = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE assignments SET ${setClauses.join(', ')} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+    
+    // Keep finalized enrollment grades in step with an admin override
+    if (refinalize) {
+      await refinalizeCourse(client, assignment.course_id);
+    }
+    
+    return result.rows[0];
+  });
+  
+  res.json(updated);
+}
+
+// Replace an assignment's editable fields
+app.put('/api/v1/assignments/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    ...assignmentValidators({ partial: false }),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await updateAssignment(req, res, { ...ASSIGNMENT_DEFAULTS, ...req.body });
+    } catch (error) {
+      console.error('Error updating assignment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Update selected fields of an assignment
+app.patch('/api/v1/assignments/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    ...assignmentValidators({ partial: true }),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await updateAssignment(req, res, req.body);
+    } catch (error) {
+      console.error('Error updating assignment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Publish or unpublish an assignment; published assignments are visible to enrolled students
+for (const action of ['publish', 'unpublish']) {
+  app.post(`/api/v1/assignments/:id/${action}`,
+    authenticateToken,
+    requireRole(['teachers', 'admins']),
+    [param('id').isInt()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const assignment = await getAssignmentWithCourse(req.params.id);
+        
+        if (!assignment) {
+          return res.status(404).json({ error: 'Assignment not found' });
+        }
+        
+        if (!(await canManageCourse(assignment.course_id, req.user))) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+        
+        const result = await dbPool.query(
+          'UPDATE assignments SET is_published = $1 WHERE id = $2 RETURNING *',
+          [action === 'publish', assignment.id]
+        );
+        
+        res.json(result.rows[0]);
+      } catch (error) {
+        console.error(`Error attempting to ${action} assignment:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+}
+
+// Release an assignment's draft grades to students and notify them
+app.post('/api/v1/assignments/:id/release-grades',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (!assignment.is_published) {
+        return res.status(409).json({ error: 'Publish the assignment before releasing its grades' });
+      }
+      
+      const released = await withTransaction(async (client) => {
+        await client.query(`
+          UPDATE assignments
+          SET grades_released_at = CURRENT_TIMESTAMP, grades_released_by = $2
+          WHERE id = $1
+        `, [assignment.id, req.user.id]);
+        
+        const result = await client.query(`
+          UPDATE grades g
+          SET status = 'returned'
+          FROM students s
+          WHERE g.student_id = s.id AND g.assignment_id = $1 AND g.status = 'graded'
+          RETURNING g.id AS grade_id, g.student_id, g.score, s.user_id
+        `, [assignment.id]);
+        
+        return result.rows;
+      });
+      
+      const delivered = await Promise.all(released.map(grade => publishNotification({
+        userId: grade.user_id,
+        title: `Grade released: ${assignment.title}`,
+        message: `Your grade for ${assignment.title} in ${assignment.course_code} is now available.`,
+        metadata: {
+          courseId: assignment.course_id,
+          assignmentId: assignment.id,
+          gradeId: grade.grade_id
+        }
+      })));
+      
+      await sendMetricToCloudWatch('GradesReleased', released.length, 'Count');
+      
+      res.json({
+        assignment_id: assignment.id,
+        released: released.length,
+        notified: delivered.filter(Boolean).length
+      });
+    } catch (error) {
+      console.error('Error releasing grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Delete an assignment
+app.delete('/api/v1/assignments/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    query('force').optional().isBoolean(),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const lockError = checkGradeLock(assignment, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      // Deleting cascades to grades, so require an explicit force once grading has started
+      const gradeCount = await dbPool.query(
+        'SELECT COUNT(*) FROM grades WHERE assignment_id = $1',
+        [assignment.id]
+      );
+      
+      if (parseInt(gradeCount.rows[0].count) > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          error: 'Assignment has recorded grades; pass force=true to delete it anyway'
+        });
+      }
+      
+      await withTransaction(async (client) => {
+        await client.query('DELETE FROM assignments WHERE id = $1', [assignment.id]);
+        
+        // Keep finalized enrollment grades in step with an admin override
+        if (assignment.grades_locked_at) {
+          await refinalizeCourse(client, assignment.course_id);
+        }
+      });
+      
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting assignment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Rubrics
+// =============================================================================
+
+// Load a rubric with its criteria and levels in display order. A criterion is worth
+// its highest level, and the rubric is worth the sum of its criteria.
+async function loadRubric(client, rubricId) {
+  const [rubricResult, levelsResult] = await Promise.all([
+    client.query('SELECT * FROM rubrics WHERE id = $1', [rubricId]),
+    client.query(`
+      SELECT rc.id as criterion_id, rc.title as criterion_title, rc.description as criterion_description,
+             rl.id, rl.title, rl.description, rl.points
+      FROM rubric_criteria rc
+      JOIN rubric_levels rl ON rc.id = rl.criterion_id
+      WHERE rc.rubric_id = $1
+      ORDER BY rc.position, rl.position
+    `, [rubricId])
+  ]);
+  
+  if (rubricResult.rows.length === 0) {
+    return null;
+  }
+  
+  const criteria = new Map();
+  
+  for (const row of levelsResult.rows) {
+    if (!criteria.has(row.criterion_id)) {
+      criteria.set(row.criterion_id, {
+        id: row.criterion_id,
+        title: row.criterion_title,
+        description: row.criterion_description,
+        max_points: 0,
+        levels: []
+      });
+    }
+    
+    const criterion = criteria.get(row.criterion_id);
+    const points = parseFloat(row.points);
+    
+    criterion.levels.push({ id: row.id, title: row.title, description: row.description, points });
+    criterion.max_points = Math.max(criterion.max_points, points);
+  }
+  
+  return {
+    ...rubricResult.rows[0],
+    max_points: roundTo([...criteria.values()].reduce((sum, criterion) => sum + criterion.max_points, 0), 2),
+    criteria: [...criteria.values()]
+  };
+}
+
+async function insertRubricCriteria(client, rubricId, criteria) {
+  for (const [criterionIndex, criterion] of criteria.entries()) {
+    const criterionResult = await client.query(`
+      INSERT INTO rubric_criteria (rubric_id, title, description, position)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [rubricId, criterion.title, criterion.description ?? null, criterionIndex + 1]);
+    
+    await client.query(`
+      INSERT INTO rubric_levels (criterion_id, title, description, points, position)
+      SELECT $1, title, description, points, position
+      FROM UNNEST($2::text[], $3::text[], $4::numeric[]) WITH ORDINALITY AS level(title, description, points, position)
+    `, [
+      criterionResult.rows[0].id,
+      criterion.levels.map(level => level.title),
+      criterion.levels.map(level => level.description ?? null),
+      criterion.levels.map(level => level.points)
+    ]);
+  }
+}
+
+// The rubric's maximum has to fit within the assignment's max_score
+function checkRubricFits(rubric, assignment) {
+  if (rubric.max_points > parseFloat(assignment.max_score)) {
+    return `Rubric "${rubric.title}" is worth ${rubric.max_points} points, more than the maximum score of ` +
+      `${assignment.max_score} for "${assignment.title}"`;
+  }
+  return null;
+}
+
+// Check per-criterion selections against a rubric and total them into a score.
+// Every criterion needs exactly one selection, and the level must belong to it.
+function scoreRubricSelections(rubric, rubricScores) {
+  const selections = [];
+  const problems = [];
+  const byCriterion = new Map(rubricScores.map(selection => [parseInt(selection.criterionId), selection]));
+  
+  if (byCriterion.size !== rubricScores.length) {
+    problems.push('Each criterion can only be scored once');
+  }
+  
+  for (const criterionId of byCriterion.keys()) {
+    if (!rubric.criteria.some(criterion => criterion.id === criterionId)) {
+      problems.push(`Criterion ${criterionId} is not part of rubric "${rubric.title}"`);
+    }
+  }
+  
+  for (const criterion of rubric.criteria) {
+    const selection = byCriterion.get(criterion.id);
+    
+    if (!selection) {
+      problems.push(`Criterion "${criterion.title}" has no selected level`);
+      continue;
+    }
+    
+    const level = criterion.levels.find(candidate => candidate.id === parseInt(selection.levelId));
+    
+    if (!level) {
+      problems.push(`Level ${selection.levelId} is not a level of criterion "${criterion.title}"`);
+      continue;
+    }
+    
+    selections.push({
+      criterionId: criterion.id,
+      levelId: level.id,
+      points: level.points,
+      comment: selection.comment || null
+    });
+  }
+  
+  if (problems.length > 0) {
+    return { error: { status: 400, message: 'Invalid rubric selections', details: problems } };
+  }
+  
+  return {
+    score: roundTo(selections.reduce((sum, selection) => sum + selection.points, 0), 2),
+    selections
+  };
+}
+
+// Work out the score for a grading request: rubric assignments take rubricScores,
+// everything else takes a plain score
+async function resolveGradeScore(client, assignment, { score, rubricScores }) {
+  if (!assignment.rubric_id) {
+    if (rubricScores !== undefined) {
+      return { error: { status: 400, message: 'This assignment has no rubric; provide a score instead' } };
+    }
+    if (score === undefined) {
+      return { error: { status: 400, message: 'A score is required' } };
+    }
+    return { score, selections: null };
+  }
+  
+  if (score !== undefined || rubricScores === undefined) {
+    return {
+      error: { status: 400, message: 'This assignment is graded with a rubric; provide rubricScores instead of a score' }
+    };
+  }
+  
+  return scoreRubricSelections(await loadRubric(client, assignment.rubric_id), rubricScores);
+}
+
+async function saveRubricScores(client, gradeId, selections) {
+  await client.query('DELETE FROM grade_rubric_scores WHERE grade_id = $1', [gradeId]);
+  
+  await client.query(`
+    INSERT INTO grade_rubric_scores (grade_id, criterion_id, level_id, points, comment)
+    SELECT $1, * FROM UNNEST($2::int[], $3::int[], $4::numeric[], $5::text[])
+  `, [
+    gradeId,
+    selections.map(selection => selection.criterionId),
+    selections.map(selection => selection.levelId),
+    selections.map(selection => selection.points),
+    selections.map(selection => selection.comment)
+  ]);
+}
+
+// Per-criterion breakdowns for the given grades, keyed by grade id
+async function loadRubricScores(client, gradeIds) {
+  const breakdowns = new Map();
+  
+  if (gradeIds.length === 0) {
+    return breakdowns;
+  }
+  
+  const result = await client.query(`
+    SELECT grs.grade_id, grs.criterion_id, rc.title as criterion, grs.level_id, rl.title as level,
+           grs.points, grs.comment,
+           (SELECT MAX(points) FROM rubric_levels WHERE criterion_id = rc.id) as max_points
+    FROM grade_rubric_scores grs
+    JOIN rubric_criteria rc ON grs.criterion_id = rc.id
+    JOIN rubric_levels rl ON grs.level_id = rl.id
+    WHERE grs.grade_id = ANY($1::int[])
+    ORDER BY grs.grade_id, rc.position
+  `, [gradeIds]);
+  
+  for (const { grade_id: gradeId, ...row } of result.rows) {
+    if (!breakdowns.has(gradeId)) {
+      breakdowns.set(gradeId, []);
+    }
+    breakdowns.get(gradeId).push({
+      ...row,
+      points: parseFloat(row.points),
+      max_points: parseFloat(row.max_points)
+    });
+  }
+  
+  return breakdowns;
+}
+
+// Load a rubric the user can manage through its course
+async function getManagedRubric(client, rubricId, user, { roles } = {}) {
+  const rubric = await loadRubric(client, rubricId);
+  
+  if (!rubric) {
+    return { error: { status: 404, message: 'Rubric not found' } };
+  }
+  
+  if (!(await canManageCourse(rubric.course_id, user, roles))) {
+    return { error: { status: 403, message: 'Access denied to this rubric' } };
+  }
+  
+  return { rubric };
+}
+
+function rubricValidators() {
+  return [
+    body('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional({ nullable: true }).isString(),
+    body('criteria').isArray({ min: 1, max: 50 }),
+    body('criteria.*.title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('criteria.*.description').optional({ nullable: true }).isString(),
+    body('criteria.*.levels').isArray({ min: 1, max: 10 }),
+    body('criteria.*.levels.*.title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('criteria.*.levels.*.description').optional({ nullable: true }).isString(),
+    body('criteria.*.levels.*.points').isFloat({ min: 0, max: 999.99 }).toFloat()
+  ];
+}
+
+// Validators for rubric selections posted with a grade
+const rubricScoreValidators = [
+  body('rubricScores').optional().isArray({ min: 1 }),
+  body('rubricScores.*.criterionId').isInt(),
+  body('rubricScores.*.levelId').isInt(),
+  body('rubricScores.*.comment').optional({ nullable: true }).isString().isLength({ max: 2000 })
+];
+
+// List a course's rubrics with the assignments using them
+app.get('/api/v1/courses/:courseId/rubrics',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const rubricResult = await dbPool.query(`
+        SELECT r.id, COALESCE(ARRAY_AGG(a.id ORDER BY a.id) FILTER (WHERE a.id IS NOT NULL), '{}') as assignment_ids
+        FROM rubrics r
+        LEFT JOIN assignments a ON r.id = a.rubric_id
+        WHERE r.course_id = $1
+        GROUP BY r.id
+        ORDER BY r.id
+      `, [course.id]);
+      
+      const rubrics = await Promise.all(rubricResult.rows.map(async row => ({
+        ...(await loadRubric(dbPool, row.id)),
+        assignment_ids: row.assignment_ids
+      })));
+      
+      res.json(rubrics);
+    } catch (error) {
+      console.error('Error fetching rubrics:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Create a rubric in a course
+app.post('/api/v1/courses/:courseId/rubrics',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt(), ...rubricValidators()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const rubric = await withTransaction(async (client) => {
+        const rubricResult = await client.query(`
+          INSERT INTO rubrics (course_id, title, description, created_by)
+          VALUES ($1, $2, $3, $4)
+          RETURNING id
+        `, [course.id, req.body.title, req.body.description ?? null, req.user.id]);
+        
+        await insertRubricCriteria(client, rubricResult.rows[0].id, req.body.criteria);
+        
+        return loadRubric(client, rubricResult.rows[0].id);
+      });
+      
+      res.status(201).json(rubric);
+    } catch (error) {
+      console.error('Error creating rubric:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get a rubric
+app.get('/api/v1/rubrics/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { rubric, error } = await getManagedRubric(dbPool, req.params.id, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      res.json(rubric);
+    } catch (error) {
+      console.error('Error fetching rubric:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Replace a rubric's criteria and levels. Rubrics that grades were scored against are
+// frozen so recorded breakdowns stay meaningful; create a new rubric instead.
+app.put('/api/v1/rubrics/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt(), ...rubricValidators()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const outcome = await withTransaction(async (client) => {
+        const { rubric, error } = await getManagedRubric(client, req.params.id, req.user);
+        
+        if (error) {
+          return { status: error.status, body: { error: error.message } };
+        }
+        
+        const usedResult = await client.query(`
+          SELECT COUNT(*) FROM grade_rubric_scores grs
+          JOIN rubric_criteria rc ON grs.criterion_id = rc.id
+          WHERE rc.rubric_id = $1
+        `, [rubric.id]);
+        
+        if (parseInt(usedResult.rows[0].count) > 0) {
+          return {
+            status: 409,
+            body: { error: 'Grades have been scored with this rubric; create a new rubric instead of editing it' }
+          };
+        }
+        
+        const replacement = {
+          title: req.body.title,
+          max_points: roundTo(req.body.criteria.reduce(
+            (sum, criterion) => sum + Math.max(...criterion.levels.map(level => level.points)), 0
+          ), 2)
+        };
+        const assignmentsResult = await client.query(
+          'SELECT id, title, max_score FROM assignments WHERE rubric_id = $1',
+          [rubric.id]
+        );
+        const problems = assignmentsResult.rows
+          .map(assignment => checkRubricFits(replacement, assignment))
+          .filter(Boolean);
+        
+        if (problems.length > 0) {
+          return { status: 409, body: { error: 'Rubric does not fit the assignments using it', details: problems } };
+        }
+        
+        await client.query('UPDATE rubrics SET title = $2, description = $3 WHERE id = $1', [
+          rubric.id, req.body.title, req.body.description ?? null
+        ]);
+        await client.query('DELETE FROM rubric_criteria WHERE rubric_id = $1', [rubric.id]);
+        await insertRubricCriteria(client, rubric.id, req.body.criteria);
+        
+        return { status: 200, body: await loadRubric(client, rubric.id) };
+      });
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error updating rubric:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Delete a rubric that no assignment uses
+app.delete('/api/v1/rubrics/:id',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { rubric, error } = await getManagedRubric(dbPool, req.params.id, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const inUse = await dbPool.query('SELECT COUNT(*) FROM assignments WHERE rubric_id = $1', [rubric.id]);
+      
+      if (parseInt(inUse.rows[0].count) > 0) {
+        return res.status(409).json({ error: 'Rubric is attached to assignments; detach it first' });
+      }
+      
+      await dbPool.query('DELETE FROM rubrics WHERE id = $1', [rubric.id]);
+      
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting rubric:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Attach a rubric to an assignment, or detach it with rubricId null. The rubric can't
+// change once grades have been scored against it.
+app.put('/api/v1/assignments/:id/rubric',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('rubricId').optional({ nullable: true }).isInt().toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const rubricId = req.body.rubricId ?? null;
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (rubricId !== null) {
+        const rubric = await loadRubric(dbPool, rubricId);
+        
+        if (!rubric || rubric.course_id !== assignment.course_id) {
+          return res.status(404).json({ error: 'Rubric not found in this course' });
+        }
+        
+        const fitError = checkRubricFits(rubric, assignment);
+        
+        if (fitError) {
+          return res.status(400).json({ error: fitError });
+        }
+      }
+      
+      const scoredResult = await dbPool.query(`
+        SELECT COUNT(*) FROM grade_rubric_scores grs
+        JOIN grades g ON grs.grade_id = g.id
+        WHERE g.assignment_id = $1
+      `, [assignment.id]);
+      
+      if (parseInt(scoredResult.rows[0].count) > 0 && rubricId !== assignment.rubric_id) {
+        return res.status(409).json({ error: 'Grades have already been scored with this assignment\'s rubric' });
+      }
+      
+      const result = await dbPool.query(
+        'UPDATE assignments SET rubric_id = $1 WHERE id = $2 RETURNING *',
+        [rubricId, assignment.id]
+      );
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error attaching rubric:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grades
+// =============================================================================
+
+// Get grades for a student
+app.get('/api/v1/students/:studentId/grades',
+  authenticateToken,
+  [
+    param('studentId').isInt(),
+    query('courseId').optional().isInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const studentId = req.params.studentId;
+      const courseId = req.query.courseId;
+      
+      // Check access permissions
+      const isTeacherOrAdmin = req.user.groups.some(group => ['teachers', 'admins'].includes(group));
+      const studentQuery = await dbPool.query('SELECT user_id FROM students WHERE id = $1', [studentId]);
+      
+      if (studentQuery.rows.length === 0) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+      
+      const isOwnData = studentQuery.rows[0].user_id === req.user.id;
+      
+      if (!isTeacherOrAdmin && !isOwnData) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      let query = `
+        SELECT g.*, 
+               a.title as assignment_title, 
+               a.max_score, 
+               a.assignment_type,
+               a.due_date,
+               c.course_name, 
+               c.course_code
+        FROM grades g
+        JOIN assignments a ON g.assignment_id = a.id
+        JOIN courses c ON a.course_id = c.id
+        WHERE g.student_id = $1
+      `;
+      
+      const params = [studentId];
+      
+      if (courseId) {
+        query += ` AND c.id = $${params.length + 1}`;
+        params.push(courseId);
+      }
+      
+      // Unreleased grades stay hidden from students
+      if (!isTeacherOrAdmin) {
+        query += ` AND g.status = ANY($${params.length + 1}::text[])`;
+        params.push(STUDENT_VISIBLE_GRADE_STATUSES);
+      }
+      
+      // Looking a student up must not reveal their marks on assignments still graded anonymously
+      if (!isOwnData) {
+        query += ` AND NOT ${MASKED_ASSIGNMENT_CONDITION}`;
+      }
+      
+      query += ` ORDER BY g.created_at DESC`;
+      
+      const result = await dbPool.query(query, params);
+      const rubricScores = await loadRubricScores(dbPool, result.rows.map(grade => grade.id));
+      
+      res.json(result.rows.map(grade => ({
+        ...grade,
+        rubric_scores: rubricScores.get(grade.id) || null
+      })));
+    } catch (error) {
+      console.error('Error fetching grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Derive lateness from the due date and deduct late_penalty_percent of max_score per late day
+function applyLatePenalty(assignment, rawScore, submissionDate) {
+  const result = { score: rawScore, isLate: false, lateDays: 0, penalty: 0 };
+  
+  if (!submissionDate || !assignment.due_date) {
+    return result;
+  }
+  
+  const lateMs = new Date(submissionDate) - new Date(assignment.due_date);
+  
+  if (lateMs <= 0) {
+    return result;
+  }
+  
+  result.isLate = true;
+  result.lateDays = Math.ceil(lateMs / MS_PER_DAY);
+  
+  const penalty = parseFloat(assignment.late_penalty_percent) * parseFloat(assignment.max_score) * result.lateDays;
+  result.penalty = roundTo(Math.min(penalty, rawScore), 2);
+  result.score = roundTo(rawScore - result.penalty, 2);
+  
+  return result;
+}
+
+// Validate a score against its assignment and work out the grade values to store.
+// Re-grading keeps the submission date and late override already on record.
+function buildGradeRecord(assignment, existingGrade, input) {
+  if (input.score > parseFloat(assignment.max_score)) {
+    return {
+      error: { status: 400, message: `Score cannot exceed maximum score of ${assignment.max_score}` }
+    };
+  }
+  
+  // Overwriting a recorded score must be justified for the grade audit log
+  if (existingGrade && existingGrade.score !== null && !input.changeReason) {
+    return {
+      error: { status: 422, message: 'A changeReason is required when overwriting an existing score' }
+    };
+  }
+  
+  const submissionDate = input.submissionDate || (existingGrade && existingGrade.submission_date) || null;
+  const lateOverrideReason = input.lateOverrideReason || (existingGrade && existingGrade.late_override_reason) || null;
+  const late = applyLatePenalty(assignment, input.score, submissionDate);
+  
+  if (late.isLate && !assignment.allow_late_submission && !lateOverrideReason) {
+    return {
+      error: {
+        status: 422,
+        message: 'Late submissions are not accepted for this assignment; provide lateOverrideReason to record this grade',
+        lateDays: late.lateDays
+      }
+    };
+  }
+  
+  return {
+    late,
+    record: {
+      studentId: input.studentId,
+      assignmentId: assignment.id,
+      score: late.score,
+      rawScore: input.score,
+      feedback: input.feedback ?? null,
+      gradedBy: input.gradedBy,
+      submissionDate,
+      isLate: late.isLate,
+      lateDays: late.lateDays,
+      lateOverrideReason: late.isLate && !assignment.allow_late_submission ? lateOverrideReason : null,
+      changeReason: input.changeReason || null
+    }
+  };
+}
+
+// Make the acting user and reason visible to the log_grade_changes trigger.
+// The settings are transaction-local, so callers must be inside withTransaction.
+async function setGradeAuditContext(client, changedBy, reason) {
+  await client.query(
+    "SELECT set_config('app.changed_by', $1, true), set_config('app.change_reason', $2, true)",
+    [changedBy, reason || '']
+  );
+}
+
+async function upsertGrade(client, record) {
+  await setGradeAuditContext(client, record.gradedBy, record.changeReason);
+  
+  const gradeQuery = `
+    INSERT INTO grades (
+      student_id, assignment_id, score, raw_score, feedback, graded_by, graded_at, status,
+      submission_date, is_late, late_days, late_override_reason
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, 'graded', $7, $8, $9, $10)
+    ON CONFLICT (student_id, assignment_id)
+    DO UPDATE SET 
+      score = EXCLUDED.score,
+      raw_score = EXCLUDED.raw_score,
+      feedback = EXCLUDED.feedback,
+      graded_by = EXCLUDED.graded_by,
+      graded_at = EXCLUDED.graded_at,
+      status = CASE WHEN grades.status = 'returned' THEN grades.status ELSE EXCLUDED.status END,
+      submission_date = EXCLUDED.submission_date,
+      is_late = EXCLUDED.is_late,
+      late_days = EXCLUDED.late_days,
+      late_override_reason = EXCLUDED.late_override_reason,
+      excusal_reason = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `;
+  
+  const result = await client.query(gradeQuery, [
+    record.studentId,
+    record.assignmentId,
+    record.score,
+    record.rawScore,
+    record.feedback,
+    record.gradedBy,
+    record.submissionDate,
+    record.isLate,
+    record.lateDays,
+    record.lateOverrideReason
+  ]);
+  
+  return result.rows[0];
+}
+
+// Create or update a grade
+app.post('/api/v1/grades',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    body('studentId').optional().isInt(),
+    body('anonymousId').optional().isString().trim().isLength({ min: 1, max: 20 }),
+    body('assignmentId').isInt(),
+    body('score').optional().isFloat({ min: 0 }).toFloat(),
+    ...rubricScoreValidators,
+    body('feedback').optional().isString(),
+    body('submissionDate').optional().isISO8601(),
+    body('lateOverrideReason').optional().isString().trim().isLength({ min: 1, max: 1000 }),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { assignmentId } = req.body;
+      
+      // Verify teacher has access to this assignment
+      const assignment = await getAssignmentWithCourse(assignmentId);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      // Course managers may grade anything; TAs only their assigned assignments
+      if (!(await canGradeAssignment(assignment, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const lockError = checkGradeLock(assignment, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      // Anonymous assignments are graded by pseudonym
+      const student = await resolveGradedStudent(dbPool, assignment, req.body);
+      
+      if (student.error) {
+        return res.status(student.error.status).json({ error: student.error.message });
+      }
+      
+      const rubricScore = await resolveGradeScore(dbPool, assignment, req.body);
+      
+      if (rubricScore.error) {
+        return res.status(rubricScore.error.status).json({
+          error: rubricScore.error.message,
+          ...(rubricScore.error.details && { details: rubricScore.error.details })
+        });
+      }
+      
+      const existingResult = await dbPool.query(
+        'SELECT * FROM grades WHERE student_id = $1 AND assignment_id = $2',
+        [student.studentId, assignmentId]
+      );
+      
+      const { record, late, error } = buildGradeRecord(assignment, existingResult.rows[0], {
+        ...req.body,
+        studentId: student.studentId,
+        score: rubricScore.score,
+        gradedBy: req.user.id
+      });
+      
+      if (error) {
+        return res.status(error.status).json({
+          error: error.message,
+          ...(error.lateDays !== undefined && { late_days: error.lateDays })
+        });
+      }
+      
+      const grade = await withTransaction(async (client) => {
+        const saved = await upsertGrade(client, record);
+        
+        if (rubricScore.selections) {
+          await saveRubricScores(client, saved.id, rubricScore.selections);
+        }
+        
+        // Keep the finalized enrollment grade in step with an admin override
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, [saved.student_id]);
+        }
+        
+        return saved;
+      });
+      
+      // Send metric to CloudWatch
+      await sendMetricToCloudWatch('GradeCreated', 1, 'Count');
+      
+      const rubricScores = rubricScore.selections
+        ? (await loadRubricScores(dbPool, [grade.id])).get(grade.id)
+        : undefined;
+      
+      res.status(201).json(maskStudentIdentity({
+        ...grade,
+        late_penalty: late.penalty,
+        ...(rubricScores && { rubric_scores: rubricScores }),
+        ...(student.anonymousId && { identity_masked: true, anonymous_id: student.anonymousId })
+      }));
+    } catch (error) {
+      console.error('Error creating/updating grade:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Excuse or exempt a student from an assignment, replacing any recorded score.
+// The assignment then drops out of the student's denominator.
+app.put('/api/v1/assignments/:assignmentId/students/:studentId/excusal',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('assignmentId').isInt(),
+    param('studentId').isInt(),
+    body('status').isIn(['excused', 'exempt']),
+    body('reason').isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { assignmentId, studentId } = req.params;
+      const { status, reason } = req.body;
+      
+      const assignment = await getAssignmentWithCourse(assignmentId);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canGradeAssignment(assignment, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const lockError = checkGradeLock(assignment, req.user, reason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      const enrollmentResult = await dbPool.query(
+        'SELECT id FROM enrollments WHERE course_id = $1 AND student_id = $2',
+        [assignment.course_id, studentId]
+      );
+      
+      if (enrollmentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Student is not enrolled in this course' });
+      }
+      
+      const grade = await withTransaction(async (client) => {
+        await setGradeAuditContext(client, req.user.id, `${status === 'excused' ? 'Excused' : 'Exempted'}: ${reason}`);
+        
+        const result = await client.query(`
+          INSERT INTO grades (student_id, assignment_id, graded_by, graded_at, status, excusal_reason)
+          VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4, $5)
+          ON CONFLICT (student_id, assignment_id)
+          DO UPDATE SET
+            score = NULL,
+            raw_score = NULL,
+            letter_grade = NULL,
+            graded_by = EXCLUDED.graded_by,
+            graded_at = EXCLUDED.graded_at,
+            status = EXCLUDED.status,
+            excusal_reason = EXCLUDED.excusal_reason,
+            is_late = false,
+            late_days = 0,
+            late_override_reason = NULL,
+            updated_at = CURRENT_TIMESTAMP
+          RETURNING *
+        `, [studentId, assignmentId, req.user.id, status, reason]);
+        
+        // The score is gone, so its criterion breakdown goes with it
+        await client.query('DELETE FROM grade_rubric_scores WHERE grade_id = $1', [result.rows[0].id]);
+        
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, [parseInt(studentId)]);
+        }
+        
+        return result.rows[0];
+      });
+      
+      res.json(grade);
+    } catch (error) {
+      console.error('Error excusing grade:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Lift an excusal so the assignment counts toward the student's grade again
+app.delete('/api/v1/assignments/:assignmentId/students/:studentId/excusal',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('assignmentId').isInt(),
+    param('studentId').isInt(),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { assignmentId, studentId } = req.params;
+      
+      const assignment = await getAssignmentWithCourse(assignmentId);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canGradeAssignment(assignment, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const lockError = checkGradeLock(assignment, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      const reason = req.body.changeReason ? `Excusal lifted: ${req.body.changeReason}` : 'Excusal lifted';
+      
+      const grade = await withTransaction(async (client) => {
+        await setGradeAuditContext(client, req.user.id, reason);
+        
+        const result = await client.query(`
+          UPDATE grades
+          SET status = 'pending', excusal_reason = NULL, graded_by = $3, updated_at = CURRENT_TIMESTAMP
+          WHERE assignment_id = $1 AND student_id = $2 AND status = ANY($4::text[])
+          RETURNING *
+        `, [assignmentId, studentId, req.user.id, EXCUSED_GRADE_STATUSES]);
+        
+        if (result.rows.length === 0) {
+          return null;
+        }
+        
+        // The score stays empty, so the grade trigger has nothing to log
+        await logUnchangedGrade(client, result.rows[0].id, req.user.id, reason);
+        
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, [parseInt(studentId)]);
+        }
+        
+        return result.rows[0];
+      });
+      
+      if (!grade) {
+        return res.status(404).json({ error: 'No excusal found for this student and assignment' });
+      }
+      
+      res.json(grade);
+    } catch (error) {
+      console.error('Error removing excusal:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grade Import
+// =============================================================================
+
+const gradeFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(new Error('Only .csv and .xlsx files are supported'));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single "file" upload, reporting upload problems as validation errors
+function uploadGradeFile(req, res, next) {
+  gradeFileUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A .csv or .xlsx file is required in the "file" field' });
+    }
+    next();
+  });
+}
+
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// Parse an uploaded sheet into { rowNumber, record } pairs; row numbers match the spreadsheet
+async function parseGradeSheet(file) {
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    
+    if (!sheet) {
+      return [];
+    }
+    
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = normalizeHeader(cell.text);
+    });
+    
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      
+      const record = {};
+      headers.forEach((header, column) => {
+        if (!header) return;
+        const cell = row.getCell(column);
+        record[header] = cell.value instanceof Date ? cell.value.toISOString() : cell.text.trim();
+      });
+      rows.push({ rowNumber, record });
+    });
+    
+    return rows;
+  }
+  
+  const records = parseCsv(file.buffer, {
+    columns: headers => headers.map(normalizeHeader),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    info: true
+  });
+  
+  return records.map(({ record, info }) => ({ rowNumber: info.lines, record }));
+}
+
+// Check every row of an import against the course roster, assignments and existing grades
+async function validateGradeImport(courseId, rows, gradedBy, defaultChangeReason) {
+  const studentNumbers = [...new Set(rows.map(({ record }) => record.student_number).filter(Boolean))];
+  
+  const [studentsResult, assignmentsResult, gradesResult] = await Promise.all([
+    dbPool.query(`
+      SELECT s.id, s.student_number, e.status as enrollment_status
+      FROM students s
+      LEFT JOIN enrollments e ON s.id = e.student_id AND e.course_id = $1
+      WHERE s.student_number = ANY($2::text[])
+    `, [courseId, studentNumbers]),
+    dbPool.query('SELECT * FROM assignments WHERE course_id = $1', [courseId]),
+    dbPool.query(`
+      SELECT g.* FROM grades g
+      JOIN assignments a ON g.assignment_id = a.id
+      WHERE a.course_id = $1
+    `, [courseId])
+  ]);
+  
+  const studentsByNumber = new Map(studentsResult.rows.map(row => [row.student_number, row]));
+  const existingGrades = new Map(gradesResult.rows.map(row => [`${row.student_id}:${row.assignment_id}`, row]));
+  const seenRows = new Map();
+  
+  const records = [];
+  const errors = [];
+  
+  for (const { rowNumber, record } of rows) {
+    const rowErrors = [];
+    const student = studentsByNumber.get(record.student_number);
+    
+    if (!record.student_number) {
+      rowErrors.push('Missing student_number');
+    } else if (!student) {
+      rowErrors.push(`Unknown student ${record.student_number}`);
+    } else if (!['active', 'completed'].includes(student.enrollment_status)) {
+      rowErrors.push(`Student ${record.student_number} is not enrolled in this course`);
+    }
+    
+    const assignmentMatches = record.assignment_id
+      ? assignmentsResult.rows.filter(a => String(a.id) === record.assignment_id)
+      : assignmentsResult.rows.filter(a => a.title.toLowerCase() === (record.assignment || '').toLowerCase());
+    const assignment = assignmentMatches.length === 1 ? assignmentMatches[0] : undefined;
+    
+    if (!record.assignment_id && !record.assignment) {
+      rowErrors.push('Missing assignment or assignment_id');
+    } else if (assignmentMatches.length === 0) {
+      rowErrors.push(`Unknown assignment ${record.assignment_id || record.assignment}`);
+    } else if (assignmentMatches.length > 1) {
+      rowErrors.push(`Assignment title "${record.assignment}" matches more than one assignment; use assignment_id`);
+    } else if (assignment.rubric_id) {
+      rowErrors.push(`Assignment "${assignment.title}" is graded with a rubric; enter its grades with rubric selections`);
+    } else if (isIdentityMasked(assignment)) {
+      rowErrors.push(`Assignment "${assignment.title}" is graded anonymously; enter its grades by anonymousId`);
+    }
+    
+    const score = Number(record.score);
+    if (record.score === undefined || record.score === '') {
+      rowErrors.push('Missing score');
+    } else if (!Number.isFinite(score) || score < 0) {
+      rowErrors.push(`Score "${record.score}" must be a non-negative number`);
+    }
+    
+    if (record.submission_date && isNaN(new Date(record.submission_date))) {
+      rowErrors.push(`Invalid submission_date "${record.submission_date}"`);
+    }
+    
+    if (student && assignment) {
+      const key = `${student.id}:${assignment.id}`;
+      
+      if (seenRows.has(key)) {
+        rowErrors.push(`Duplicate of row ${seenRows.get(key)} for the same student and assignment`);
+      } else {
+        seenRows.set(key, rowNumber);
+      }
+      
+      if (rowErrors.length === 0) {
+        const existingGrade = existingGrades.get(key);
+        const { record: gradeRecord, error } = buildGradeRecord(assignment, existingGrade, {
+          studentId: student.id,
+          score,
+          feedback: record.feedback || (existingGrade ? existingGrade.feedback : null),
+          submissionDate: record.submission_date || null,
+          lateOverrideReason: record.late_override_reason || null,
+          changeReason: record.change_reason || defaultChangeReason,
+          gradedBy
+        });
+        
+        if (error) {
+          rowErrors.push(error.message);
+        } else {
+          records.push({ rowNumber, gradeRecord, isUpdate: Boolean(existingGrade) });
+        }
+      }
+    }
+    
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: rowNumber,
+        student_number: record.student_number || null,
+        assignment: record.assignment_id || record.assignment || null,
+        errors: rowErrors
+      });
+    }
+  }
+  
+  return { records, errors };
+}
+
+// Import grades from a CSV or XLSX file with one row per student and assignment.
+// Columns: student_number, assignment_id or assignment (title), score, and optionally
+// feedback, submission_date, late_override_reason and change_reason. A changeReason form
+// field applies to every row that overwrites a score. With dryRun=true nothing is saved.
+app.post('/api/v1/courses/:courseId/grades/import',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('dryRun').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  uploadGradeFile,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const dryRun = req.query.dryRun === 'true';
+      const changeReason = typeof req.body.changeReason === 'string' ? req.body.changeReason.trim() : null;
+      
+      const { course, error } = await getManagedCourse(courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const lockError = checkGradeLock(course, req.user, changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      let rows;
+      try {
+        rows = await parseGradeSheet(req.file);
+      } catch (parseError) {
+        return res.status(400).json({ error: `Could not read file: ${parseError.message}` });
+      }
+      
+      if (rows.length === 0) {
+        return res.status(400).json({ error: 'The file contains no grade rows' });
+      }
+      
+      const { records, errors } = await validateGradeImport(courseId, rows, req.user.id, changeReason);
+      
+      const summary = {
+        dry_run: dryRun,
+        total_rows: rows.length,
+        valid_rows: records.length,
+        error_rows: errors.length,
+        to_create: records.filter(r => !r.isUpdate).length,
+        to_update: records.filter(r => r.isUpdate).length,
+        errors
+      };
+      
+      if (dryRun) {
+        return res.json(summary);
+      }
+      
+      // Imports are all-or-nothing: fix the reported rows and upload again
+      if (errors.length > 0) {
+        return res.status(422).json({ error: 'Import contains invalid rows; nothing was saved', ...summary });
+      }
+      
+      await withTransaction(async (client) => {
+        for (const { gradeRecord } of records) {
+          await upsertGrade(client, gradeRecord);
+        }
+        
+        if (course.grades_locked_at) {
+          await finalizeEnrollments(client, course.id, [...new Set(records.map(({ gradeRecord }) => gradeRecord.studentId))]);
+        }
+      });
+      
+      await sendMetricToCloudWatch('GradesImported', records.length, 'Count');
+      
+      res.status(201).json({
+        dry_run: false,
+        total_rows: rows.length,
+        created: summary.to_create,
+        updated: summary.to_update
+      });
+    } catch (error) {
+      console.error('Error importing grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Anonymous Grading
+// =============================================================================
+
+// SQL condition for an assignment (aliased "a") whose graders still see pseudonyms
+const MASKED_ASSIGNMENT_CONDITION = '(a.anonymous_grading AND a.deanonymized_at IS NULL)';
+
+function isIdentityMasked(assignment) {
+  return assignment.anonymous_grading && !assignment.deanonymized_at;
+}
+
+// Give every active student a pseudonym for the assignment. Students who enroll later
+// get theirs on the next call, as does anyone skipped by a pseudonym collision.
+async function issueAnonymousIds(client, assignment) {
+  await client.query(`
+    INSERT INTO anonymous_ids (assignment_id, student_id, anonymous_id)
+    SELECT $1, e.student_id, 'ANON-' || UPPER(SUBSTRING(MD5(RANDOM()::text || e.student_id::text) FOR 8))
+    FROM enrollments e
+    WHERE e.course_id = $2 AND e.status = 'active'
+    ON CONFLICT DO NOTHING
+  `, [assignment.id, assignment.course_id]);
+}
+
+// Work out which student a grading request is about. While identities are masked the
+// student must be given by anonymousId, so graders never work from a real identity.
+async function resolveGradedStudent(client, assignment, { studentId, anonymousId }) {
+  if (!isIdentityMasked(assignment)) {
+    if (anonymousId !== undefined) {
+      return { error: { status: 400, message: 'This assignment is not graded anonymously; provide studentId instead' } };
+    }
+    if (studentId === undefined) {
+      return { error: { status: 400, message: 'A studentId is required' } };
+    }
+    return { studentId };
+  }
+  
+  if (studentId !== undefined || anonymousId === undefined) {
+    return { error: { status: 400, message: 'This assignment is graded anonymously; provide anonymousId instead of studentId' } };
+  }
+  
+  const result = await client.query(
+    'SELECT student_id FROM anonymous_ids WHERE assignment_id = $1 AND anonymous_id = $2',
+    [assignment.id, anonymousId]
+  );
+  
+  if (result.rows.length === 0) {
+    return { error: { status: 404, message: 'No student has this anonymousId for the assignment' } };
+  }
+  
+  return { studentId: result.rows[0].student_id, anonymousId };
+}
+
+// Drop a row's student identity when identity_masked is set, leaving its anonymous_id
+function maskStudentIdentity({ identity_masked, ...row }) {
+  if (!identity_masked) {
+    return row;
+  }
+  
+  const { student_id, student_number, first_name, last_name, ...masked } = row;
+  return masked;
+}
+
+// Turn anonymous grading or second marking on or off. Anonymous grading only ends by
+// de-anonymizing, so identities are never revealed as a side effect of an edit.
+app.put('/api/v1/assignments/:id/grading-mode',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('anonymousGrading').optional().isBoolean().toBoolean(),
+    body('secondMarking').optional().isBoolean().toBoolean(),
+    body('moderationThreshold').optional().isFloat({ min: 0, max: 100 }).toFloat()
+      .withMessage('Moderation threshold must be between 0 and 100 percentage points')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { anonymousGrading, secondMarking, moderationThreshold } = req.body;
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (anonymousGrading === undefined && secondMarking === undefined && moderationThreshold === undefined) {
+        return res.status(400).json({ error: 'No grading mode fields provided' });
+      }
+      
+      if (anonymousGrading === false && isIdentityMasked(assignment)) {
+        return res.status(409).json({ error: 'De-anonymize the assignment to reveal student identities' });
+      }
+      
+      if (anonymousGrading === true && assignment.deanonymized_at) {
+        return res.status(409).json({ error: 'Student identities for this assignment have already been revealed' });
+      }
+      
+      const updated = await withTransaction(async (client) => {
+        const result = await client.query(`
+          UPDATE assignments
+          SET anonymous_grading = COALESCE($2, anonymous_grading),
+              second_marking = COALESCE($3, second_marking),
+              moderation_threshold = COALESCE($4, moderation_threshold)
+          WHERE id = $1
+          RETURNING *
+        `, [assignment.id, anonymousGrading ?? null, secondMarking ?? null, moderationThreshold ?? null]);
+        
+        if (isIdentityMasked(result.rows[0])) {
+          await issueAnonymousIds(client, result.rows[0]);
+        }
+        
+        return result.rows[0];
+      });
+      
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating grading mode:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Reveal student identities on an anonymous assignment. This can't be undone.
+app.post('/api/v1/assignments/:id/deanonymize',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (!isIdentityMasked(assignment)) {
+        return res.status(409).json({
+          error: assignment.anonymous_grading
+            ? 'Student identities for this assignment have already been revealed'
+            : 'This assignment is not graded anonymously'
+        });
+      }
+      
+      const result = await dbPool.query(`
+        UPDATE assignments
+        SET deanonymized_at = CURRENT_TIMESTAMP, deanonymized_by = $2
+        WHERE id = $1
+        RETURNING *
+      `, [assignment.id, req.user.id]);
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error de-anonymizing assignment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// List each active student's grade on an assignment for grading. Anonymous assignments
+// list pseudonyms, in pseudonym order so the roster order gives nothing away. Under
+// second marking, TAs only see the marks they entered themselves.
+app.get('/api/v1/assignments/:id/grades',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canGradeAssignment(assignment, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const masked = isIdentityMasked(assignment);
+      
+      if (masked) {
+        await issueAnonymousIds(dbPool, assignment);
+      }
+      
+      const [gradesResult, secondMarksResult, isManager] = await Promise.all([
+        dbPool.query(`
+          SELECT e.student_id, s.student_number, s.first_name, s.last_name, ai.anonymous_id,
+                 g.id as grade_id, g.score, g.raw_score, g.status, g.feedback, g.graded_by, g.graded_at,
+                 g.is_late, g.late_days, g.excusal_reason
+          FROM enrollments e
+          JOIN students s ON e.student_id = s.id
+          LEFT JOIN grades g ON g.student_id = e.student_id AND g.assignment_id = $1
+          LEFT JOIN anonymous_ids ai ON ai.student_id = e.student_id AND ai.assignment_id = $1
+          WHERE e.course_id = $2 AND e.status = 'active'
+          ORDER BY ${masked ? 'ai.anonymous_id' : 's.last_name, s.first_name'}
+        `, [assignment.id, assignment.course_id]),
+        dbPool.query('SELECT * FROM second_marks WHERE assignment_id = $1', [assignment.id]),
+        canManageCourse(assignment.course_id, req.user)
+      ]);
+      
+      // Blind graders see only their own second marks, without the first score
+      const blind = assignment.second_marking && !isManager;
+      const secondMarks = new Map(secondMarksResult.rows
+        .filter(mark => !blind || mark.marker_id === req.user.id)
+        .map(({ first_score, first_marker_id, discrepancy_percent, ...mark }) => [
+          mark.student_id,
+          blind ? mark : { ...mark, first_score, first_marker_id, discrepancy_percent }
+        ]));
+      
+      const grades = gradesResult.rows.map(row => {
+        const hidden = blind && row.graded_by !== null && row.graded_by !== req.user.id;
+        const secondMark = secondMarks.get(row.student_id) || null;
+        
+        return maskStudentIdentity({
+          ...row,
+          ...(hidden && { score: null, raw_score: null, feedback: null, graded_by: null }),
+          second_mark: secondMark && maskStudentIdentity({ ...secondMark, identity_masked: masked }),
+          identity_masked: masked
+        });
+      });
+      
+      res.json({
+        assignment_id: assignment.id,
+        anonymous: masked,
+        second_marking: assignment.second_marking,
+        grades
+      });
+    } catch (error) {
+      console.error('Error fetching assignment grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Record a blind second mark against the first mark on record. A gap larger than the
+// assignment's moderation_threshold flags the pair for moderation. The marker only
+// learns whether the marks agreed, not the first score.
+app.post('/api/v1/assignments/:id/second-marks',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('studentId').optional().isInt(),
+    body('anonymousId').optional().isString().trim().isLength({ min: 1, max: 20 }),
+    body('score').optional().isFloat({ min: 0 }).toFloat(),
+    ...rubricScoreValidators,
+    body('feedback').optional().isString()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canGradeAssignment(assignment, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (!assignment.second_marking) {
+        return res.status(409).json({ error: 'Second marking is not enabled for this assignment' });
+      }
+      
+      if (assignment.grades_locked_at) {
+        return res.status(409).json({ error: 'Second marks cannot be recorded after term close-out' });
+      }
+      
+      const outcome = await withTransaction(async (client) => {
+        const student = await resolveGradedStudent(client, assignment, req.body);
+        
+        if (student.error) {
+          return { error: student.error };
+        }
+        
+        const scored = await resolveGradeScore(client, assignment, req.body);
+        
+        if (scored.error) {
+          return { error: scored.error };
+        }
+        
+        if (scored.score > parseFloat(assignment.max_score)) {
+          return { error: { status: 400, message: `Score cannot exceed maximum score of ${assignment.max_score}` } };
+        }
+        
+        const gradeResult = await client.query(
+          'SELECT * FROM grades WHERE assignment_id = $1 AND student_id = $2 FOR UPDATE',
+          [assignment.id, student.studentId]
+        );
+        const grade = gradeResult.rows[0];
+        
+        if (!grade || grade.score === null || EXCUSED_GRADE_STATUSES.includes(grade.status)) {
+          return { error: { status: 409, message: 'A first mark must be recorded before the second mark' } };
+        }
+        
+        if (grade.graded_by === req.user.id) {
+          return { error: { status: 409, message: 'The second mark must come from a different grader than the first' } };
+        }
+        
+        const existingResult = await client.query(
+          'SELECT marker_id, status FROM second_marks WHERE assignment_id = $1 AND student_id = $2 FOR UPDATE',
+          [assignment.id, student.studentId]
+        );
+        const existing = existingResult.rows[0];
+        
+        if (existing && existing.marker_id !== req.user.id) {
+          return { error: { status: 409, message: 'Another grader has already second-marked this student' } };
+        }
+        
+        if (existing && existing.status === 'moderated') {
+          return { error: { status: 409, message: 'This second mark has already been moderated' } };
+        }
+        
+        // Compare marks before late penalties, which the second marker doesn't apply
+        const firstScore = parseFloat(grade.raw_score ?? grade.score);
+        const discrepancy = roundTo(Math.abs(scored.score - firstScore) / parseFloat(assignment.max_score) * 100, 2);
+        const status = discrepancy > parseFloat(assignment.moderation_threshold) ? 'flagged' : 'agreed';
+        
+        const result = await client.query(`
+          INSERT INTO second_marks (
+            assignment_id, student_id, grade_id, marker_id, score, feedback,
+            first_marker_id, first_score, discrepancy_percent, status
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          ON CONFLICT (assignment_id, student_id)
+          DO UPDATE SET
+            grade_id = EXCLUDED.grade_id,
+            score = EXCLUDED.score,
+            feedback = EXCLUDED.feedback,
+            first_marker_id = EXCLUDED.first_marker_id,
+            first_score = EXCLUDED.first_score,
+            discrepancy_percent = EXCLUDED.discrepancy_percent,
+            status = EXCLUDED.status
+          RETURNING *
+        `, [
+          assignment.id, student.studentId, grade.id, req.user.id, scored.score,
+          req.body.feedback ?? null, grade.graded_by, firstScore, discrepancy, status
+        ]);
+        
+        return { mark: result.rows[0], anonymousId: student.anonymousId };
+      });
+      
+      if (outcome.error) {
+        return res.status(outcome.error.status).json({
+          error: outcome.error.message,
+          ...(outcome.error.details && { details: outcome.error.details })
+        });
+      }
+      
+      const { first_score, first_marker_id, discrepancy_percent, ...mark } = outcome.mark;
+      
+      res.status(201).json(maskStudentIdentity({
+        ...mark,
+        ...(outcome.anonymousId && { identity_masked: true, anonymous_id: outcome.anonymousId })
+      }));
+    } catch (error) {
+      console.error('Error recording second mark:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// List second marks on an assignment, largest disagreement first
+app.get('/api/v1/assignments/:id/second-marks',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    query('status').optional().isIn(['agreed', 'flagged', 'moderated'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const result = await dbPool.query(`
+        SELECT m.*,
+               g.score as current_score,
+               s.student_number,
+               s.first_name,
+               s.last_name,
+               ai.anonymous_id
+        FROM second_marks m
+        JOIN grades g ON m.grade_id = g.id
+        JOIN students s ON m.student_id = s.id
+        LEFT JOIN anonymous_ids ai ON ai.assignment_id = m.assignment_id AND ai.student_id = m.student_id
+        WHERE m.assignment_id = $1 AND ($2::text IS NULL OR m.status = $2)
+        ORDER BY m.discrepancy_percent DESC, m.id ASC
+      `, [assignment.id, req.query.status || null]);
+      
+      const masked = isIdentityMasked(assignment);
+      
+      res.json({
+        assignment_id: assignment.id,
+        moderation_threshold: parseFloat(assignment.moderation_threshold),
+        second_marks: result.rows.map(row => maskStudentIdentity({ ...row, identity_masked: masked }))
+      });
+    } catch (error) {
+      console.error('Error fetching second marks:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Settle a flagged second mark by setting the agreed score, which replaces the grade
+// through the normal grade path and is recorded in the audit log
+app.post('/api/v1/second-marks/:id/moderate',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('score').optional().isFloat({ min: 0 }).toFloat(),
+    ...rubricScoreValidators,
+    body('comment').optional().isString().trim().isLength({ min: 1, max: 2000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { comment } = req.body;
+      
+      const outcome = await withTransaction(async (client) => {
+        const markResult = await client.query(`
+          SELECT m.*, ai.anonymous_id
+          FROM second_marks m
+          LEFT JOIN anonymous_ids ai ON ai.assignment_id = m.assignment_id AND ai.student_id = m.student_id
+          WHERE m.id = $1
+          FOR UPDATE OF m
+        `, [req.params.id]);
+        const mark = markResult.rows[0];
+        
+        if (!mark) {
+          return { error: { status: 404, message: 'Second mark not found' } };
+        }
+        
+        const assignment = await getAssignmentWithCourse(mark.assignment_id);
+        
+        if (!(await canManageCourse(assignment.course_id, req.user))) {
+          return { error: { status: 403, message: 'Access denied' } };
+        }
+        
+        if (mark.status !== 'flagged') {
+          return { error: { status: 409, message: `Only flagged second marks need moderation; this one is ${mark.status}` } };
+        }
+        
+        const reason = `Moderated second mark #${mark.id}` + (comment ? `: ${comment}` : '');
+        const lockError = checkGradeLock(assignment, req.user, reason);
+        
+        if (lockError) {
+          return { error: lockError };
+        }
+        
+        const scored = await resolveGradeScore(client, assignment, req.body);
+        
+        if (scored.error) {
+          return { error: scored.error };
+        }
+        
+        const existingResult = await client.query('SELECT * FROM grades WHERE id = $1 FOR UPDATE', [mark.grade_id]);
+        const existing = existingResult.rows[0];
+        
+        const { record, error } = buildGradeRecord(assignment, existing, {
+          studentId: mark.student_id,
+          score: scored.score,
+          feedback: existing.feedback,
+          gradedBy: req.user.id,
+          changeReason: reason
+        });
+        
+        if (error) {
+          return { error };
+        }
+        
+        const grade = await upsertGrade(client, record);
+        
+        if (scored.selections) {
+          await saveRubricScores(client, grade.id, scored.selections);
+        }
+        
+        if (parseFloat(grade.score) === parseFloat(existing.score)) {
+          await logUnchangedGrade(client, grade.id, req.user.id, reason);
+        }
+        
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, [mark.student_id]);
+        }
+        
+        const updated = await client.query(`
+          UPDATE second_marks
+          SET status = 'moderated', moderated_score = $2, moderation_comment = $3,
+              moderated_by = $4, moderated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [mark.id, scored.score, comment || null, req.user.id]);
+        
+        const identity = { identity_masked: isIdentityMasked(assignment), anonymous_id: mark.anonymous_id };
+        
+        return {
+          secondMark: maskStudentIdentity({ ...updated.rows[0], ...identity }),
+          grade: maskStudentIdentity({ ...grade, ...identity })
+        };
+      });
+      
+      if (outcome.error) {
+        return res.status(outcome.error.status).json({
+          error: outcome.error.message,
+          ...(outcome.error.details && { details: outcome.error.details })
+        });
+      }
+      
+      res.json({ second_mark: outcome.secondMark, grade: outcome.grade });
+    } catch (error) {
+      console.error('Error moderating second mark:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grade Adjustments
+// =============================================================================
+
+// Curves work on raw scores; late penalties are then re-applied, so late work keeps
+// its deduction. clamp only caps scores at max_score, which the other methods also
+// do unless clampToMax is false.
+const GRADE_ADJUSTMENT_METHODS = ['add_points', 'scale_to_mean', 'square_root', 'clamp'];
+
+// Largest value the grades.score column can hold
+const MAX_STORABLE_SCORE = 999.99;
+
+function describeAdjustment(method, parameters) {
+  const descriptions = {
+    add_points: `add ${parameters.points} points`,
+    scale_to_mean: `scale to a mean of ${parameters.target_mean}`,
+    square_root: 'square-root curve',
+    clamp: 'clamp to max score'
+  };
+  
+  return descriptions[method] + (method !== 'clamp' && !parameters.clamp_to_max ? ' without clamping' : '');
+}
+
+// Work out each scored grade's new raw score and score under an adjustment,
+// or an { error } when the adjustment can't be applied to these grades
+function curveGrades(assignment, grades, method, parameters) {
+  const maxScore = parseFloat(assignment.max_score);
+  const rawScores = grades.map(grade => parseFloat(grade.raw_score ?? grade.score));
+  let curve = raw => raw;
+  
+  if (method === 'add_points') {
+    curve = raw => raw + parameters.points;
+  } else if (method === 'scale_to_mean') {
+    const mean = rawScores.reduce((sum, raw) => sum + raw, 0) / rawScores.length;
+    
+    if (mean === 0) {
+      return { error: { status: 422, message: 'Cannot scale to a target mean when every score is 0' } };
+    }
+    curve = raw => raw * parameters.target_mean / mean;
+  } else if (method === 'square_root') {
+    curve = raw => Math.sqrt(raw / maxScore) * maxScore;
+  }
+  
+  const ceiling = method === 'clamp' || parameters.clamp_to_max ? maxScore : Infinity;
+  const curved = grades.map((grade, index) => {
+    const rawScore = roundTo(Math.min(Math.max(curve(rawScores[index]), 0), ceiling), 2);
+    
+    return {
+      grade,
+      rawScore,
+      score: applyLatePenalty(assignment, rawScore, grade.submission_date).score
+    };
+  });
+  
+  if (curved.some(({ rawScore }) => rawScore > MAX_STORABLE_SCORE)) {
+    return { error: { status: 422, message: `Adjusted scores cannot exceed ${MAX_STORABLE_SCORE}; clamp to max score` } };
+  }
+  
+  return {
+    curved,
+    changes: curved.filter(({ grade, rawScore, score }) =>
+      rawScore !== parseFloat(grade.raw_score ?? grade.score) || score !== parseFloat(grade.score))
+  };
+}
+
+async function loadScoredGrades(client, assignmentId, { forUpdate = false } = {}) {
+  const result = await client.query(`
+    SELECT g.*, s.student_number, s.first_name, s.last_name, ai.anonymous_id
+    FROM grades g
+    JOIN students s ON g.student_id = s.id
+    LEFT JOIN anonymous_ids ai ON ai.assignment_id = g.assignment_id AND ai.student_id = g.student_id
+    WHERE g.assignment_id = $1 AND g.score IS NOT NULL AND g.status = ANY($2::text[])
+    ORDER BY g.id
+    ${forUpdate ? 'FOR UPDATE OF g' : ''}
+  `, [assignmentId, SCORED_GRADE_STATUSES]);
+  
+  return result.rows;
+}
+
+// Write new scores through the grade trigger so each change lands in grade_audit_log
+async function writeAdjustedScores(client, changedBy, reason, rows) {
+  await setGradeAuditContext(client, changedBy, reason);
+  
+  await client.query(`
+    UPDATE grades g
+    SET score = changed.score, raw_score = changed.raw_score, updated_at = CURRENT_TIMESTAMP
+    FROM UNNEST($1::int[], $2::numeric[], $3::numeric[]) AS changed(id, score, raw_score)
+    WHERE g.id = changed.id
+  `, [
+    rows.map(row => row.gradeId),
+    rows.map(row => row.score),
+    rows.map(row => row.rawScore)
+  ]);
+}
+
+// Curve an assignment's scored grades. With dryRun=true nothing is saved and the
+// response previews the changes and the before/after score distributions.
+app.post('/api/v1/assignments/:id/adjustments',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    query('dryRun').optional().isBoolean(),
+    body('method').isIn(GRADE_ADJUSTMENT_METHODS),
+    body('points').if(body('method').equals('add_points'))
+      .isFloat({ min: -MAX_STORABLE_SCORE, max: MAX_STORABLE_SCORE }).toFloat(),
+    body('targetMean').if(body('method').equals('scale_to_mean'))
+      .isFloat({ gt: 0, max: MAX_STORABLE_SCORE }).toFloat(),
+    body('clampToMax').optional().isBoolean().toBoolean(),
+    body('reason').optional().isString().trim().isLength({ min: 1, max: 1000 }),
+    body('bucketSize').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const { method, reason } = req.body;
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // A rubric score is the sum of its criteria, which a curve would no longer match
+      if (assignment.rubric_id) {
+        return res.status(409).json({ error: 'This assignment is graded with a rubric; adjust the rubric scores instead of curving' });
+      }
+      
+      if (method === 'scale_to_mean' && req.body.targetMean > parseFloat(assignment.max_score)) {
+        return res.status(400).json({ error: `Target mean cannot exceed maximum score of ${assignment.max_score}` });
+      }
+      
+      const parameters = {
+        ...(method === 'add_points' && { points: req.body.points }),
+        ...(method === 'scale_to_mean' && { target_mean: req.body.targetMean }),
+        clamp_to_max: method === 'clamp' || req.body.clampToMax !== false
+      };
+      const description = describeAdjustment(method, parameters) + (reason ? ` (${reason})` : '');
+      
+      if (!dryRun) {
+        const lockError = checkGradeLock(assignment, req.user, description);
+        
+        if (lockError) {
+          return res.status(lockError.status).json({ error: lockError.message });
+        }
+      }
+      
+      const outcome = await withTransaction(async (client) => {
+        const grades = await loadScoredGrades(client, assignment.id, { forUpdate: !dryRun });
+        
+        if (grades.length === 0) {
+          return { error: { status: 422, message: 'This assignment has no scored grades to adjust' } };
+        }
+        
+        const { curved, changes, error } = curveGrades(assignment, grades, method, parameters);
+        
+        if (error) {
+          return { error };
+        }
+        
+        if (dryRun) {
+          return { curved, changes };
+        }
+        
+        if (changes.length === 0) {
+          return { error: { status: 422, message: 'The adjustment would not change any grades' } };
+        }
+        
+        const adjustmentResult = await client.query(`
+          INSERT INTO grade_adjustments (assignment_id, method, parameters, reason, grade_count, applied_by)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [assignment.id, method, JSON.stringify(parameters), reason || null, changes.length, req.user.id]);
+        const adjustment = adjustmentResult.rows[0];
+        
+        await writeAdjustedScores(
+          client,
+          req.user.id,
+          `Grade adjustment #${adjustment.id}: ${description}`,
+          changes.map(({ grade, score, rawScore }) => ({ gradeId: grade.id, score, rawScore }))
+        );
+        
+        await client.query(`
+          INSERT INTO grade_adjustment_items (adjustment_id, grade_id, old_score, new_score, old_raw_score, new_raw_score)
+          SELECT $1, * FROM UNNEST($2::int[], $3::numeric[], $4::numeric[], $5::numeric[], $6::numeric[])
+        `, [
+          adjustment.id,
+          changes.map(({ grade }) => grade.id),
+          changes.map(({ grade }) => grade.score),
+          changes.map(({ score }) => score),
+          changes.map(({ grade }) => grade.raw_score),
+          changes.map(({ rawScore }) => rawScore)
+        ]);
+        
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, changes.map(({ grade }) => grade.student_id));
+        }
+        
+        return { curved, changes, adjustment };
+      });
+      
+      if (outcome.error) {
+        return res.status(outcome.error.status).json({ error: outcome.error.message });
+      }
+      
+      const maxScore = parseFloat(assignment.max_score);
+      const bucketSize = req.body.bucketSize || 10;
+      const masked = isIdentityMasked(assignment);
+      
+      if (!dryRun) {
+        await sendMetricToCloudWatch('GradesAdjusted', outcome.changes.length, 'Count');
+      }
+      
+      res.status(dryRun ? 200 : 201).json({
+        dry_run: dryRun,
+        ...(outcome.adjustment && { adjustment: outcome.adjustment }),
+        method,
+        parameters,
+        graded_count: outcome.curved.length,
+        changed_count: outcome.changes.length,
+        before: describeDistribution(outcome.curved.map(({ grade }) => parseFloat(grade.score) / maxScore * 100), bucketSize),
+        after: describeDistribution(outcome.curved.map(({ score }) => score / maxScore * 100), bucketSize),
+        changes: outcome.changes.map(({ grade, score, rawScore }) => maskStudentIdentity({
+          grade_id: grade.id,
+          student_id: grade.student_id,
+          student_number: grade.student_number,
+          first_name: grade.first_name,
+          last_name: grade.last_name,
+          anonymous_id: grade.anonymous_id,
+          identity_masked: masked,
+          old_score: parseFloat(grade.score),
+          new_score: score,
+          old_raw_score: grade.raw_score === null ? null : parseFloat(grade.raw_score),
+          new_raw_score: rawScore
+        }))
+      });
+    } catch (error) {
+      console.error('Error adjusting grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// List the adjustments applied to an assignment, newest first
+app.get('/api/v1/assignments/:id/adjustments',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const assignment = await getAssignmentWithCourse(req.params.id);
+      
+      if (!assignment) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      
+      if (!(await canManageCourse(assignment.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const result = await dbPool.query(
+        'SELECT * FROM grade_adjustments WHERE assignment_id = $1 ORDER BY applied_at DESC, id DESC',
+        [assignment.id]
+      );
+      
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching grade adjustments:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Undo an adjustment, restoring every grade it changed. Nothing is reverted if any of
+// those grades has changed since, e.g. by a later adjustment that must be reverted first.
+app.post('/api/v1/grade-adjustments/:id/revert',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('id').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const outcome = await withTransaction(async (client) => {
+        const adjustmentResult = await client.query(
+          'SELECT * FROM grade_adjustments WHERE id = $1 FOR UPDATE',
+          [req.params.id]
+        );
+        const adjustment = adjustmentResult.rows[0];
+        
+        if (!adjustment) {
+          return { error: { status: 404, message: 'Grade adjustment not found' } };
+        }
+        
+        const assignment = await getAssignmentWithCourse(adjustment.assignment_id);
+        
+        if (!(await canManageCourse(assignment.course_id, req.user))) {
+          return { error: { status: 403, message: 'Access denied' } };
+        }
+        
+        if (adjustment.reverted_at) {
+          return { error: { status: 409, message: 'This grade adjustment has already been reverted' } };
+        }
+        
+        const reason = `Revert of grade adjustment #${adjustment.id}: ${describeAdjustment(adjustment.method, adjustment.parameters)}`;
+        const lockError = checkGradeLock(assignment, req.user, reason);
+        
+        if (lockError) {
+          return { error: lockError };
+        }
+        
+        const itemsResult = await client.query(`
+          SELECT i.*, g.student_id, g.score as current_score, g.raw_score as current_raw_score
+          FROM grade_adjustment_items i
+          JOIN grades g ON i.grade_id = g.id
+          WHERE i.adjustment_id = $1
+          FOR UPDATE OF g
+        `, [adjustment.id]);
+        
+        const changedSince = itemsResult.rows.filter(item =>
+          parseFloat(item.current_score) !== parseFloat(item.new_score) ||
+          parseFloat(item.current_raw_score) !== parseFloat(item.new_raw_score));
+        
+        if (changedSince.length > 0) {
+          return {
+            error: {
+              status: 409,
+              message: 'Some grades have changed since this adjustment; nothing was reverted',
+              changedGradeIds: changedSince.map(item => item.grade_id)
+            }
+          };
+        }
+        
+        await writeAdjustedScores(client, req.user.id, reason, itemsResult.rows.map(item => ({
+          gradeId: item.grade_id,
+          score: item.old_score,
+          rawScore: item.old_raw_score
+        })));
+        
+        if (assignment.grades_locked_at) {
+          await finalizeEnrollments(client, assignment.course_id, itemsResult.rows.map(item => item.student_id));
+        }
+        
+        const updated = await client.query(`
+          UPDATE grade_adjustments
+          SET reverted_at = CURRENT_TIMESTAMP, reverted_by = $2
+          WHERE id = $1
+          RETURNING *
+        `, [adjustment.id, req.user.id]);
+        
+        return { adjustment: updated.rows[0], revertedCount: itemsResult.rows.length };
+      });
+      
+      if (outcome.error) {
+        return res.status(outcome.error.status).json({
+          error: outcome.error.message,
+          ...(outcome.error.changedGradeIds && { changed_grade_ids: outcome.error.changedGradeIds })
+        });
+      }
+      
+      res.json({ ...outcome.adjustment, reverted_count: outcome.revertedCount });
+    } catch (error) {
+      console.error('Error reverting grade adjustment:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grade History
+// =============================================================================
+
+// Get the change history of a single grade, oldest first
+app.get('/api/v1/grades/:gradeId/history',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('gradeId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const gradeResult = await dbPool.query(`
+        SELECT g.*, a.title as assignment_title, a.course_id, a.second_marking,
+               ${MASKED_ASSIGNMENT_CONDITION} as identity_masked, ai.anonymous_id
+        FROM grades g
+        JOIN assignments a ON g.assignment_id = a.id
+        LEFT JOIN anonymous_ids ai ON ai.assignment_id = a.id AND ai.student_id = g.student_id
+        WHERE g.id = $1
+      `, [req.params.gradeId]);
+      
+      if (gradeResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Grade not found' });
+      }
+      
+      const grade = gradeResult.rows[0];
+      
+      if (!(await canGradeAssignment({ id: grade.assignment_id, course_id: grade.course_id }, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // Under second marking the history would show blind graders the other marker's scores
+      if (grade.second_marking && grade.graded_by !== req.user.id && !(await canManageCourse(grade.course_id, req.user))) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      const historyResult = await dbPool.query(`
+        SELECT * FROM grade_audit_log
+        WHERE grade_id = $1
+        ORDER BY changed_at ASC, id ASC
+      `, [grade.id]);
+      
+      res.json(maskStudentIdentity({
+        grade_id: grade.id,
+        student_id: grade.student_id,
+        anonymous_id: grade.anonymous_id,
+        identity_masked: grade.identity_masked,
+        assignment_id: grade.assignment_id,
+        assignment_title: grade.assignment_title,
+        history: historyResult.rows
+      }));
+    } catch (error) {
+      console.error('Error fetching grade history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get grade changes across a course, newest first
+app.get('/api/v1/courses/:courseId/grade-history',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('studentId').optional().isInt(),
+    query('assignmentId').optional().isInt(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = (page - 1) * limit;
+      
+      const { error } = await getManagedCourse(courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const fromClause = `
+        FROM grade_audit_log l
+        JOIN grades g ON l.grade_id = g.id
+        JOIN assignments a ON g.assignment_id = a.id
+        JOIN students s ON g.student_id = s.id
+      `;
+      const conditions = ['a.course_id = $1'];
+      const params = [courseId];
+      
+      // Filtering by student would tie them to their anonymous grades
+      if (req.query.studentId) {
+        conditions.push(`g.student_id = $${params.length + 1}`, `NOT ${MASKED_ASSIGNMENT_CONDITION}`);
+        params.push(req.query.studentId);
+      }
+      
+      if (req.query.assignmentId) {
+        conditions.push(`g.assignment_id = $${params.length + 1}`);
+        params.push(req.query.assignmentId);
+      }
+      
+      // Blind graders only see the history of second-marked grades they entered
+      if (!(await canManageCourse(courseId, req.user))) {
+        conditions.push(`(NOT a.second_marking OR g.graded_by = $${params.length + 1})`);
+        params.push(req.user.id);
+      }
+      
+      const whereClause = ' WHERE ' + conditions.join(' AND ');
+      
+      const historyQuery = `
+        SELECT l.*,
+               g.student_id,
+               g.assignment_id,
+               s.student_number,
+               s.first_name,
+               s.last_name,
+               a.title as assignment_title,
+               ${MASKED_ASSIGNMENT_CONDITION} as identity_masked,
+               ai.anonymous_id
+        ${fromClause}
+        LEFT JOIN anonymous_ids ai ON ai.assignment_id = a.id AND ai.student_id = g.student_id
+        ${whereClause}
+        ORDER BY l.changed_at DESC, l.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+      
+      const [historyResult, countResult] = await Promise.all([
+        dbPool.query(historyQuery, [...params, limit, offset]),
+        dbPool.query(`SELECT COUNT(*) ${fromClause} ${whereClause}`, params)
+      ]);
+      
+      const totalCount = parseInt(countResult.rows[0].count);
+      const totalPages = Math.ceil(totalCount / limit);
+      
+      res.json({
+        history: historyResult.rows.map(maskStudentIdentity),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching course grade history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Regrade Requests
+// =============================================================================
+
+// Load a regrade request with the grade, assignment and course it belongs to
+async function getRegradeRequest(client, requestId, { forUpdate = false } = {}) {
+  const result = await client.query(`
+    SELECT r.*,
+           g.assignment_id, g.score as current_score, g.feedback, g.submission_date, g.late_override_reason,
+           a.title as assignment_title, a.course_id, a.max_score, a.due_date,
+           a.late_penalty_percent, a.allow_late_submission, a.rubric_id,
+           c.course_code, c.instructor_id, c.grades_locked_at,
+           s.user_id as student_user_id
+    FROM regrade_requests r
+    JOIN grades g ON r.grade_id = g.id
+    JOIN assignments a ON g.assignment_id = a.id
+    JOIN courses c ON a.course_id = c.id
+    JOIN students s ON r.student_id = s.id
+    WHERE r.id = $1
+    ${forUpdate ? 'FOR UPDATE OF r' : ''}
+  `, [requestId]);
+  
+  return result.rows[0] || null;
+}
+
+// Record a grade change that left the score and feedback unchanged, which the grade trigger does not log
+async function logUnchangedGrade(client, gradeId, changedBy, reason) {
+  await client.query(`
+    INSERT INTO grade_audit_log (
+      grade_id, old_score, new_score, old_feedback, new_feedback, changed_by, change_reason
+    )
+    SELECT id, score, score, feedback, feedback, $2, $3
+    FROM grades WHERE id = $1
+  `, [gradeId, changedBy, reason]);
+}
+
+// Open a regrade request on a released grade
+app.post('/api/v1/grades/:gradeId/regrade-requests',
+  authenticateToken,
+  requireRole(['students']),
+  [
+    param('gradeId').isInt(),
+    body('justification').isString().trim().isLength({ min: 1, max: 2000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const gradeResult = await dbPool.query(`
+        SELECT g.*, s.user_id as student_user_id
+        FROM grades g
+        JOIN students s ON g.student_id = s.id
+        WHERE g.id = $1
+      `, [req.params.gradeId]);
+      
+      const grade = gradeResult.rows[0];
+      
+      // Unreleased grades are hidden from students, so treat them as missing
+      if (!grade || grade.student_user_id !== req.user.id || !RELEASED_GRADE_STATUSES.includes(grade.status)) {
+        return res.status(404).json({ error: 'Grade not found' });
+      }
+      
+      const result = await dbPool.query(`
+        INSERT INTO regrade_requests (grade_id, student_id, justification, original_score)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [grade.id, grade.student_id, req.body.justification, grade.score]);
+      
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A regrade request is already open for this grade' });
+      }
+      
+      console.error('Error creating regrade request:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get a student's regrade requests
+app.get('/api/v1/students/:studentId/regrade-requests',
+  authenticateToken,
+  [param('studentId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const studentId = req.params.studentId;
+      const isTeacherOrAdmin = req.user.groups.includes('teachers') || req.user.groups.includes('admins');
+      
+      if (!isTeacherOrAdmin) {
+        const studentResult = await dbPool.query(
+          'SELECT user_id FROM students WHERE id = $1',
+          [studentId]
+        );
+        
+        if (studentResult.rows.length === 0 || studentResult.rows[0].user_id !== req.user.id) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+      }
+      
+      const result = await dbPool.query(`
+        SELECT r.*, a.id as assignment_id, a.title as assignment_title, c.id as course_id, c.course_code
+        FROM regrade_requests r
+        JOIN grades g ON r.grade_id = g.id
+        JOIN assignments a ON g.assignment_id = a.id
+        JOIN courses c ON a.course_id = c.id
+        WHERE r.student_id = $1
+        ORDER BY r.created_at DESC
+      `, [studentId]);
+      
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching student regrade requests:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get the regrade queue for a course, oldest first
+app.get('/api/v1/courses/:courseId/regrade-requests',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('status').optional().isIn(['pending', 'accepted', 'rejected']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const status = req.query.status || 'pending';
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = (page - 1) * limit;
+      
+      const { error } = await getManagedCourse(courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const fromClause = `
+        FROM regrade_requests r
+        JOIN grades g ON r.grade_id = g.id
+        JOIN assignments a ON g.assignment_id = a.id
+        JOIN students s ON r.student_id = s.id
+        LEFT JOIN anonymous_ids ai ON ai.assignment_id = a.id AND ai.student_id = r.student_id
+        WHERE a.course_id = $1 AND r.status = $2
+      `;
+      
+      const [requestsResult, countResult] = await Promise.all([
+        dbPool.query(`
+          SELECT r.*,
+                 g.assignment_id,
+                 g.score as current_score,
+                 a.title as assignment_title,
+                 a.max_score,
+                 s.student_number,
+                 s.first_name,
+                 s.last_name,
+                 ${MASKED_ASSIGNMENT_CONDITION} as identity_masked,
+                 ai.anonymous_id
+          ${fromClause}
+          ORDER BY r.created_at ASC, r.id ASC
+          LIMIT $3 OFFSET $4
+        `, [courseId, status, limit, offset]),
+        dbPool.query(`SELECT COUNT(*) ${fromClause}`, [courseId, status])
+      ]);
+      
+      const totalCount = parseInt(countResult.rows[0].count);
+      const totalPages = Math.ceil(totalCount / limit);
+      
+      res.json({
+        requests: requestsResult.rows.map(maskStudentIdentity),
+        pagination: {
+          page,
+          limit,
+          totalCount,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching regrade requests:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Resolve a pending regrade request. Accepting re-grades through the normal grade
+// path so late penalties still apply; either way the outcome lands in the audit log.
+async function resolveRegradeRequest(req, res, outcome) {
+  try {
+    const { score, rubricScores, comment } = req.body;
+    
+    const resolution = await withTransaction(async (client) => {
+      const request = await getRegradeRequest(client, req.params.id, { forUpdate: true });
+      
+      if (!request) {
+        return { error: { status: 404, message: 'Regrade request not found' } };
+      }
+      
+      if (!(await canGradeAssignment({ id: request.assignment_id, course_id: request.course_id }, req.user))) {
+        return { error: { status: 403, message: 'Access denied' } };
+      }
+      
+      if (request.status !== 'pending') {
+        return { error: { status: 409, message: `Regrade request has already been ${request.status}` } };
+      }
+      
+      const reason = `Regrade request #${request.id} ${outcome}` + (comment ? `: ${comment}` : '');
+      let grade;
+      
+      if (outcome === 'accepted') {
+        const lockError = checkGradeLock(request, req.user, reason);
+        
+        if (lockError) {
+          return { error: lockError };
+        }
+        
+        const assignment = {
+          id: request.assignment_id,
+          max_score: request.max_score,
+          due_date: request.due_date,
+          late_penalty_percent: request.late_penalty_percent,
+          allow_late_submission: request.allow_late_submission,
+          rubric_id: request.rubric_id
+        };
+        
+        const rubricScore = await resolveGradeScore(client, assignment, { score, rubricScores });
+        
+        if (rubricScore.error) {
+          return { error: rubricScore.error };
+        }
+        
+        const { record, error } = buildGradeRecord(assignment, request, {
+          studentId: request.student_id,
+          score: rubricScore.score,
+          feedback: request.feedback,
+          gradedBy: req.user.id,
+          changeReason: reason
+        });
+        
+        if (error) {
+          return { error };
+        }
+        
+        grade = await upsertGrade(client, record);
+        
+        if (rubricScore.selections) {
+          await saveRubricScores(client, grade.id, rubricScore.selections);
+        }
+        
+        if (request.grades_locked_at) {
+          await finalizeEnrollments(client, request.course_id, [request.student_id]);
+        }
+      }
+      
+      if (!grade || parseFloat(grade.score) === parseFloat(request.current_score)) {
+        await logUnchangedGrade(client, request.grade_id, req.user.id, reason);
+      }
+      
+      const updated = await client.query(`
+        UPDATE regrade_requests
+        SET status = $2, resolved_score = $3, resolution_comment = $4,
+            resolved_by = $5, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `, [request.id, outcome, grade ? grade.score : request.current_score, comment || null, req.user.id]);
+      
+      return { request, regradeRequest: updated.rows[0] };
+    });
+    
+    if (resolution.error) {
+      return res.status(resolution.error.status).json({
+        error: resolution.error.message,
+        ...(resolution.error.details && { details: resolution.error.details })
+      });
+    }
+    
+    const { request, regradeRequest } = resolution;
+    const scoreNote = outcome === 'accepted'
+      ? ` Your new score is ${regradeRequest.resolved_score}/${request.max_score}.`
+      : '';
+    
+    await publishNotification({
+      userId: request.student_user_id,
+      title: `Regrade request ${outcome}: ${request.assignment_title}`,
+      message: `Your regrade request for ${request.assignment_title} in ${request.course_code} was ${outcome}.` +
+        scoreNote + (comment ? ` Instructor comment: ${comment}` : ''),
+      metadata: {
+        courseId: request.course_id,
+        assignmentId: request.assignment_id,
+        gradeId: request.grade_id,
+        regradeRequestId: request.id
+      }
+    });
+    
+    res.json(regradeRequest);
+  } catch (error) {
+    console.error('Error resolving regrade request:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Accept a regrade request with a new score, or new rubric selections for rubric-graded assignments
+app.post('/api/v1/regrade-requests/:id/accept',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('score').optional().isFloat({ min: 0 }).toFloat(),
+    ...rubricScoreValidators,
+    body('comment').optional().isString().trim().isLength({ min: 1, max: 2000 })
+  ],
+  handleValidationErrors,
+  (req, res) => resolveRegradeRequest(req, res, 'accepted')
+);
+
+// Reject a regrade request, explaining why
+app.post('/api/v1/regrade-requests/:id/reject',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('id').isInt(),
+    body('comment').isString().trim().isLength({ min: 1, max: 2000 })
+  ],
+  handleValidationErrors,
+  (req, res) => resolveRegradeRequest(req, res, 'rejected')
+);
+
+// =============================================================================
+// Grade Calculation
+// =============================================================================
+
+// Grade statuses that carry a score which counts toward the final grade
+const SCORED_GRADE_STATUSES = ['graded', 'returned'];
+
+// 'graded' is the instructor's draft; only released ('returned') grades are visible to students
+const RELEASED_GRADE_STATUSES = ['returned'];
+
+// Grades that take the assignment out of the student's denominator instead of scoring it
+const EXCUSED_GRADE_STATUSES = ['excused', 'exempt'];
+
+// Excusals carry no score to draft, so students see them as soon as they are recorded
+const STUDENT_VISIBLE_GRADE_STATUSES = [...RELEASED_GRADE_STATUSES, ...EXCUSED_GRADE_STATUSES];
+
+// Load everything needed to compute weighted finals for a course in three queries
+async function loadCourseGradebook(client, courseId, studentIds, { releasedOnly = false } = {}) {
+  const [categoriesResult, assignmentsResult, gradesResult] = await Promise.all([
+    client.query(
+      'SELECT id, name, weight, drop_lowest FROM grade_categories WHERE course_id = $1 ORDER BY id',
+      [courseId]
+    ),
+    client.query(`
+      SELECT a.id, a.title, a.max_score, a.weight, a.assignment_type, a.due_date, a.is_extra_credit,
+             a.anonymous_grading, a.deanonymized_at,
+             COALESCE(ARRAY_AGG(ac.category_id) FILTER (WHERE ac.category_id IS NOT NULL), '{}') as category_ids
+      FROM assignments a
+      LEFT JOIN assignment_categories ac ON a.id = ac.assignment_id
+      WHERE a.course_id = $1 AND a.is_published = true
+      GROUP BY a.id
+      ORDER BY a.due_date ASC, a.id ASC
+    `, [courseId]),
+    client.query(`
+      SELECT g.student_id, g.assignment_id, g.score, g.status
+      FROM grades g
+      JOIN assignments a ON g.assignment_id = a.id
+      WHERE a.course_id = $1 AND g.student_id = ANY($2::int[])
+        AND ($3 = false OR g.status = ANY($4::text[]))
+    `, [courseId, studentIds, releasedOnly, STUDENT_VISIBLE_GRADE_STATUSES])
+  ]);
+  
+  const gradesByStudent = new Map(studentIds.map(id => [parseInt(id), new Map()]));
+  
+  for (const row of gradesResult.rows) {
+    gradesByStudent.get(row.student_id).set(row.assignment_id, {
+      score: row.score === null ? null : parseFloat(row.score),
+      status: row.status
+    });
+  }
+  
+  return {
+    courseId: parseInt(courseId),
+    categories: categoriesResult.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      weight: parseFloat(row.weight),
+      drop_lowest: row.drop_lowest || 0
+    })),
+    assignments: assignmentsResult.rows.map(row => ({
+      id: row.id,
+      title: row.title,
+      max_score: parseFloat(row.max_score),
+      weight: parseFloat(row.weight),
+      assignment_type: row.assignment_type,
+      due_date: row.due_date,
+      is_extra_credit: row.is_extra_credit,
+      anonymous_grading: row.anonymous_grading,
+      deanonymized_at: row.deanonymized_at,
+      category_ids: row.category_ids
+    })),
+    gradesByStudent
+  };
+}
+
+// Compute category averages and the weighted final percentage for one student.
+// Courses without grade categories are treated as a single category of all assignments.
+// Excused and exempt assignments are left out entirely; extra-credit scores add to a
+// category's points but not to what it is out of, so they can lift it above 100%.
+function calculateFinalGrade(gradebook, studentGrades) {
+  const categories = gradebook.categories.length > 0
+    ? gradebook.categories
+    : [{ id: null, name: 'Overall', weight: 1, drop_lowest: 0 }];
+  
+  const categoryResults = categories.map(category => {
+    const items = gradebook.assignments
+      .filter(assignment => category.id === null || assignment.category_ids.includes(category.id))
+      .map(assignment => ({ assignment, grade: studentGrades.get(assignment.id) }));
+    
+    const scored = items
+      .filter(({ grade }) => grade && grade.score !== null && SCORED_GRADE_STATUSES.includes(grade.status))
+      .map(({ assignment, grade }) => ({
+        assignment_id: assignment.id,
+        percentage: (grade.score / assignment.max_score) * 100,
+        weight: assignment.weight,
+        extra_credit: assignment.is_extra_credit
+      }));
+    
+    const scoredItems = scored
+      .filter(item => !item.extra_credit)
+      .sort((a, b) => a.percentage - b.percentage);
+    const extraCredit = scored.filter(item => item.extra_credit);
+    
+    // Always keep at least one score so a category is never emptied by drop_lowest
+    const dropCount = Math.max(0, Math.min(category.drop_lowest, scoredItems.length - 1));
+    const dropped = scoredItems.slice(0, dropCount);
+    const counted = scoredItems.slice(dropCount);
+    
+    const totalWeight = counted.reduce((sum, item) => sum + item.weight, 0);
+    const average = totalWeight > 0
+      ? [...counted, ...extraCredit].reduce((sum, item) => sum + item.percentage * item.weight, 0) / totalWeight
+      : null;
+    
+    return {
+      category_id: category.id,
+      name: category.name,
+      weight: category.weight,
+      drop_lowest: category.drop_lowest,
+      graded_count: scoredItems.length,
+      dropped_assignment_ids: dropped.map(item => item.assignment_id),
+      excused_assignment_ids: items
+        .filter(({ grade }) => grade && EXCUSED_GRADE_STATUSES.includes(grade.status))
+        .map(({ assignment }) => assignment.id),
+      extra_credit_assignment_ids: extraCredit.map(item => item.assignment_id),
+      average_percentage: roundTo(average, 2)
+    };
+  });
+  
+  // Re-normalise over categories that have scores so in-progress grades are meaningful
+  const scoredCategories = categoryResults.filter(c => c.average_percentage !== null && c.weight > 0);
+  const weightTotal = scoredCategories.reduce((sum, c) => sum + c.weight, 0);
+  const finalPercentage = weightTotal > 0
+    ? scoredCategories.reduce((sum, c) => sum + c.average_percentage * c.weight, 0) / weightTotal
+    : null;
+  
+  return {
+    final_percentage: roundTo(finalPercentage, 2),
+    weight_graded: roundTo(weightTotal, 2),
+    categories: categoryResults,
+    uncategorized_assignment_ids: gradebook.categories.length > 0
+      ? gradebook.assignments.filter(a => a.category_ids.length === 0).map(a => a.id)
+      : []
+  };
+}
+
+// Map percentages to letter grades through the course's calculate_letter_grade function
+async function lookupLetterGrades(client, courseId, percentages) {
+  const distinct = [...new Set(percentages.filter(p => p !== null))];
+  
+  if (distinct.length === 0) {
+    return new Map();
+  }
+  
+  const result = await client.query(`
+    SELECT pct, calculate_letter_grade($1, pct) as letter_grade
+    FROM UNNEST($2::numeric[]) AS pct
+  `, [courseId, distinct]);
+  
+  return new Map(result.rows.map(row => [parseFloat(row.pct), row.letter_grade]));
+}
+
+// Weighted finals with letter grades for every student in a loaded gradebook, keyed by student id
+async function gradeFinals(client, gradebook) {
+  const finals = new Map();
+  
+  for (const [studentId, studentGrades] of gradebook.gradesByStudent) {
+    finals.set(studentId, calculateFinalGrade(gradebook, studentGrades));
+  }
+  
+  const letterGrades = await lookupLetterGrades(
+    client,
+    gradebook.courseId,
+    [...finals.values()].map(final => final.final_percentage)
+  );
+  
+  for (const final of finals.values()) {
+    final.letter_grade = final.final_percentage === null
+      ? null
+      : letterGrades.get(final.final_percentage);
+  }
+  
+  return finals;
+}
+
+// Weighted finals with letter grades for the given students, keyed by student id
+async function calculateCourseFinalGrades(client, courseId, studentIds, options) {
+  const gradebook = await loadCourseGradebook(client, courseId, studentIds, options);
+  return gradeFinals(client, gradebook);
+}
+
+async function getActiveRoster(client, courseId) {
+  const result = await client.query(`
+    SELECT s.id, s.student_number, s.first_name, s.last_name
+    FROM students s
+    JOIN enrollments e ON s.id = e.student_id
+    WHERE e.course_id = $1 AND e.status = 'active'
+    ORDER BY s.last_name, s.first_name
+  `, [courseId]);
+  
+  return result.rows;
+}
+
+// Get the weighted final grade for every active student in a course
+app.get('/api/v1/courses/:courseId/final-grades',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      
+      const { error } = await getManagedCourse(courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const roster = await getActiveRoster(dbPool, courseId);
+      
+      const finals = await calculateCourseFinalGrades(
+        dbPool,
+        courseId,
+        roster.map(student => student.id)
+      );
+      
+      res.json({
+        course_id: parseInt(courseId),
+        students: roster.map(student => ({
+          student_id: student.id,
+          student_number: student.student_number,
+          first_name: student.first_name,
+          last_name: student.last_name,
+          ...finals.get(student.id)
+        }))
+      });
+    } catch (error) {
+      console.error('Error calculating final grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get the weighted final grade for one student in a course
+app.get('/api/v1/courses/:courseId/students/:studentId/final-grade',
+  authenticateToken,
+  [
+    param('courseId').isInt(),
+    param('studentId').isInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { courseId, studentId } = req.params;
+      
+      const enrollmentResult = await dbPool.query(`
+        SELECT c.*, s.user_id as student_user_id
+        FROM enrollments e
+        JOIN courses c ON e.course_id = c.id
+        JOIN students s ON e.student_id = s.id
+        WHERE e.course_id = $1 AND e.student_id = $2
+      `, [courseId, studentId]);
+      
+      if (enrollmentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Enrollment not found' });
+      }
+      
+      const course = enrollmentResult.rows[0];
+      const isStaff = await canManageCourse(course.id, req.user, COURSE_STAFF_ROLES);
+      
+      if (!isStaff && course.student_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // Students see their grade as computed from released grades only
+      const finals = await calculateCourseFinalGrades(dbPool, courseId, [parseInt(studentId)], {
+        releasedOnly: !isStaff
+      });
+      
+      res.json({
+        course_id: parseInt(courseId),
+        student_id: parseInt(studentId),
+        ...finals.get(parseInt(studentId))
+      });
+    } catch (error) {
+      console.error('Error calculating final grade:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grade Scales
+// =============================================================================
+
+// Scale used by calculate_letter_grade when a course has no custom bands
+const DEFAULT_GRADE_SCALE = [
+  { letter_grade: 'A+', min_percentage: 97, max_percentage: 100, gpa_points: 4.0, description: 'Excellent' },
+  { letter_grade: 'A', min_percentage: 93, max_percentage: 96.99, gpa_points: 4.0, description: 'Excellent' },
+  { letter_grade: 'A-', min_percentage: 90, max_percentage: 92.99, gpa_points: 3.7, description: 'Very Good' },
+  { letter_grade: 'B+', min_percentage: 87, max_percentage: 89.99, gpa_points: 3.3, description: 'Good' },
+  { letter_grade: 'B', min_percentage: 83, max_percentage: 86.99, gpa_points: 3.0, description: 'Good' },
+  { letter_grade: 'B-', min_percentage: 80, max_percentage: 82.99, gpa_points: 2.7, description: 'Satisfactory' },
+  { letter_grade: 'C+', min_percentage: 77, max_percentage: 79.99, gpa_points: 2.3, description: 'Satisfactory' },
+  { letter_grade: 'C', min_percentage: 73, max_percentage: 76.99, gpa_points: 2.0, description: 'Satisfactory' },
+  { letter_grade: 'C-', min_percentage: 70, max_percentage: 72.99, gpa_points: 1.7, description: 'Below Average' },
+  { letter_grade: 'D+', min_percentage: 67, max_percentage: 69.99, gpa_points: 1.3, description: 'Poor' },
+  { letter_grade: 'D', min_percentage: 63, max_percentage: 66.99, gpa_points: 1.0, description: 'Poor' },
+  { letter_grade: 'D-', min_percentage: 60, max_percentage: 62.99, gpa_points: 0.7, description: 'Very Poor' },
+  { letter_grade: 'F', min_percentage: 0, max_percentage: 59.99, gpa_points: 0.0, description: 'Fail' }
+];
+
+// Percentages are stored with two decimals, so adjacent bands may be 0.01 apart
+const GRADE_SCALE_MAX_GAP = 0.01;
+
+// Returns a list of problems with a set of bands; empty when the scale is usable
+function validateGradeScale(bands) {
+  const problems = [];
+  const sorted = [...bands].sort((a, b) => a.minPercentage - b.minPercentage);
+  const letters = new Set();
+  
+  for (const band of sorted) {
+    if (letters.has(band.letterGrade)) {
+      problems.push(`Letter grade ${band.letterGrade} appears more than once`);
+    }
+    letters.add(band.letterGrade);
+    
+    if (band.minPercentage > band.maxPercentage) {
+      problems.push(`${band.letterGrade}: min percentage is greater than max percentage`);
+    }
+  }
+  
+  if (sorted[0].minPercentage !== 0) {
+    problems.push('The lowest band must start at 0');
+  }
+  
+  if (sorted[sorted.length - 1].maxPercentage !== 100) {
+    problems.push('The highest band must end at 100');
+  }
+  
+  for (let i = 1; i < sorted.length; i++) {
+    const lower = sorted[i - 1];
+    const upper = sorted[i];
+    const gap = roundTo(upper.minPercentage - lower.maxPercentage, 2);
+    
+    // Touching at a boundary is allowed; calculate_letter_grade prefers the higher band
+    if (gap < 0) {
+      problems.push(`${lower.letterGrade} and ${upper.letterGrade} overlap`);
+    } else if (gap > GRADE_SCALE_MAX_GAP) {
+      problems.push(`Gap between ${lower.letterGrade} and ${upper.letterGrade}`);
+    }
+  }
+  
+  return problems;
+}
+
+// Re-run the update_letter_grade trigger logic over a course's existing grades
+async function recalculateLetterGrades(client, courseId) {
+  const result = await client.query(`
+    UPDATE grades g
+    SET letter_grade = calculate_letter_grade(a.course_id, g.percentage)
+    FROM assignments a
+    WHERE g.assignment_id = a.id
+      AND a.course_id = $1
+      AND g.percentage IS NOT NULL
+      AND g.letter_grade IS DISTINCT FROM calculate_letter_grade(a.course_id, g.percentage)
+  `, [courseId]);
+  
+  return result.rowCount;
+}
+
+// The bands calculate_letter_grade uses for a course, highest first
+async function loadGradeScale(client, courseId) {
+  const result = await client.query(`
+    SELECT letter_grade, min_percentage, max_percentage, gpa_points, description
+    FROM grade_scales
+    WHERE course_id = $1
+    ORDER BY min_percentage DESC
+  `, [courseId]);
+  
+  return {
+    is_default: result.rows.length === 0,
+    bands: result.rows.length > 0 ? result.rows : DEFAULT_GRADE_SCALE
+  };
+}
+
+// Get a course's grade scale, falling back to the default scale
+app.get('/api/v1/courses/:courseId/grade-scale',
+  authenticateToken,
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const scale = await loadGradeScale(dbPool, req.params.courseId);
+      
+      res.json({
+        course_id: parseInt(req.params.courseId),
+        ...scale
+      });
+    } catch (error) {
+      console.error('Error fetching grade scale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Replace a course's grade scale
+app.put('/api/v1/courses/:courseId/grade-scale',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    body('bands').isArray({ min: 1, max: 20 }),
+    body('bands.*.letterGrade').isString().trim().isLength({ min: 1, max: 2 }),
+    body('bands.*.minPercentage').isFloat({ min: 0, max: 100 }).toFloat(),
+    body('bands.*.maxPercentage').isFloat({ min: 0, max: 100 }).toFloat(),
+    body('bands.*.gpaPoints').optional({ nullable: true }).isFloat({ min: 0, max: 9.99 }),
+    body('bands.*.description').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('recalculate').optional().isBoolean(),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      const { course, error } = await getManagedCourse(courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      // Finalized grades take their letters and GPA points from the scale
+      const lockError = checkGradeLock(course, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      const problems = validateGradeScale(req.body.bands);
+      
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid grade scale', details: problems });
+      }
+      
+      const outcome = await withTransaction(async (client) => {
+        await client.query('DELETE FROM grade_scales WHERE course_id = $1', [course.id]);
+        
+        for (const band of req.body.bands) {
+          await client.query(`
+            INSERT INTO grade_scales (course_id, letter_grade, min_percentage, max_percentage, gpa_points, description)
+            VALUES ($1, $2, $3, $4, $5, $6)
+          `, [
+            course.id,
+            band.letterGrade,
+            band.minPercentage,
+            band.maxPercentage,
+            band.gpaPoints ?? null,
+            band.description ?? null
+          ]);
+        }
+        
+        const recalculated = req.body.recalculate === true
+          ? await recalculateLetterGrades(client, course.id)
+          : null;
+        
+        // Keep finalized enrollment grades in step with an admin override
+        if (course.grades_locked_at) {
+          await refinalizeCourse(client, course.id);
+        }
+        
+        const scaleResult = await client.query(`
+          SELECT letter_grade, min_percentage, max_percentage, gpa_points, description
+          FROM grade_scales
+          WHERE course_id = $1
+          ORDER BY min_percentage DESC
+        `, [course.id]);
+        
+        return { bands: scaleResult.rows, recalculated };
+      });
+      
+      res.json({
+        course_id: course.id,
+        is_default: false,
+        bands: outcome.bands,
+        ...(outcome.recalculated !== null && { grades_updated: outcome.recalculated })
+      });
+    } catch (error) {
+      console.error('Error updating grade scale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Remove a course's custom scale so the default scale applies again
+app.delete('/api/v1/courses/:courseId/grade-scale',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const lockError = checkGradeLock(course, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      await withTransaction(async (client) => {
+        await client.query('DELETE FROM grade_scales WHERE course_id = $1', [course.id]);
+        
+        // Keep finalized enrollment grades in step with an admin override
+        if (course.grades_locked_at) {
+          await refinalizeCourse(client, course.id);
+        }
+      });
+      
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting grade scale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Recalculate stored letter grades after the scale changes
+app.post('/api/v1/courses/:courseId/grade-scale/recalculate',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    body('changeReason').optional().isString().trim().isLength({ min: 1, max: 1000 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const lockError = checkGradeLock(course, req.user, req.body.changeReason);
+      
+      if (lockError) {
+        return res.status(lockError.status).json({ error: lockError.message });
+      }
+      
+      const updated = await withTransaction(async (client) => {
+        const count = await recalculateLetterGrades(client, course.id);
+        
+        // Keep finalized enrollment grades in step with an admin override
+        if (course.grades_locked_at) {
+          await refinalizeCourse(client, course.id);
+        }
+        
+        return count;
+      });
+      
+      res.json({ course_id: course.id, grades_updated: updated });
+    } catch (error) {
+      console.error('Error recalculating letter grades:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - What-if Calculator
+// =============================================================================
+
+// Substitute hypothetical scores into a student's grades, as ungraded work being graded
+function withHypotheticalScores(studentGrades, scores) {
+  const projected = new Map(studentGrades);
+  
+  for (const [assignmentId, score] of scores) {
+    projected.set(assignmentId, { score, status: 'graded' });
+  }
+  
+  return projected;
+}
+
+// Score ranges, in cents, over which one assignment keeps its place among the student's other
+// scores. Crossing another score can change what drop_lowest drops, so the final only rises
+// with the score inside a range; each crossing point gets ranges of its own.
+function scoreRanges(gradebook, studentGrades, assignment) {
+  const maxCents = Math.round(assignment.max_score * 100);
+  const cuts = new Set([0, maxCents + 1]);
+  
+  for (const other of gradebook.assignments) {
+    const grade = studentGrades.get(other.id);
+    
+    if (other.id === assignment.id || other.is_extra_credit || !grade || grade.score === null ||
+        !SCORED_GRADE_STATUSES.includes(grade.status)) {
+      continue;
+    }
+    
+    const crossing = Math.floor((grade.score / other.max_score) * assignment.max_score * 100);
+    
+    for (const cut of [crossing, crossing + 1, crossing + 2]) {
+      if (cut > 0 && cut <= maxCents) cuts.add(cut);
+    }
+  }
+  
+  const sorted = [...cuts].sort((a, b) => a - b);
+  return sorted.slice(0, -1).map((low, index) => ({ low, high: sorted[index + 1] - 1 }));
+}
+
+// Find the lowest score on one assignment, to the cent, that brings the final up to
+// targetPercentage. With drop_lowest a higher score can lower the final, by dropping a
+// score worth more in its place, so each range from scoreRanges is searched on its own.
+function solveMinimumScore(gradebook, studentGrades, assignment, targetPercentage) {
+  const finalWith = (cents) => calculateFinalGrade(
+    gradebook,
+    withHypotheticalScores(studentGrades, [[assignment.id, cents / 100]])
+  ).final_percentage;
+  
+  let best = null;
+  let minimum = null;
+  
+  for (const range of scoreRanges(gradebook, studentGrades, assignment)) {
+    const top = finalWith(range.high);
+    
+    if (top === null) continue;
+    
+    best = best === null ? top : Math.max(best, top);
+    
+    if (minimum !== null || top < targetPercentage) continue;
+    
+    let low = range.low;
+    let high = range.high;
+    
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      
+      if (finalWith(mid) >= targetPercentage) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    
+    minimum = low;
+  }
+  
+  if (minimum === null) {
+    return { achievable: false, minimum_score: null, best_possible_percentage: best };
+  }
+  
+  return {
+    achievable: true,
+    minimum_score: minimum / 100,
+    minimum_percentage: roundTo((minimum / 100 / assignment.max_score) * 100, 2),
+    best_possible_percentage: best
+  };
+}
+
+// Project a student's final grade from hypothetical scores on ungraded assignments, and
+// optionally solve for the score needed on one of them to reach a target letter grade.
+// Uses the official weighting and grade scale; nothing is saved.
+app.post('/api/v1/courses/:courseId/students/:studentId/what-if',
+  authenticateToken,
+  [
+    param('courseId').isInt(),
+    param('studentId').isInt(),
+    body('scores').optional().isArray({ max: 200 }),
+    body('scores.*.assignmentId').isInt().toInt(),
+    body('scores.*.score').isFloat({ min: 0 }).toFloat(),
+    body('targetAssignmentId').optional().isInt().toInt(),
+    body('targetLetterGrade').optional().isString().trim().isLength({ min: 1, max: 2 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = parseInt(req.params.courseId);
+      const studentId = parseInt(req.params.studentId);
+      const { scores = [], targetAssignmentId, targetLetterGrade } = req.body;
+      
+      if ((targetAssignmentId === undefined) !== (targetLetterGrade === undefined)) {
+        return res.status(400).json({ error: 'targetAssignmentId and targetLetterGrade must be given together' });
+      }
+      
+      const enrollmentResult = await dbPool.query(`
+        SELECT c.*, s.user_id as student_user_id
+        FROM enrollments e
+        JOIN courses c ON e.course_id = c.id
+        JOIN students s ON e.student_id = s.id
+        WHERE e.course_id = $1 AND e.student_id = $2
+      `, [courseId, studentId]);
+      
+      if (enrollmentResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Enrollment not found' });
+      }
+      
+      const course = enrollmentResult.rows[0];
+      const isStaff = await canManageCourse(course.id, req.user, COURSE_STAFF_ROLES);
+      
+      if (!isStaff && course.student_user_id !== req.user.id) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      // Students project from the grades released to them, like the official final-grade view
+      const gradebook = await loadCourseGradebook(dbPool, courseId, [studentId], { releasedOnly: !isStaff });
+      const studentGrades = gradebook.gradesByStudent.get(studentId);
+      const assignments = new Map(gradebook.assignments.map(assignment => [assignment.id, assignment]));
+      
+      // Only published work without a grade can take a hypothetical score
+      const checkUngraded = (assignmentId) => {
+        const assignment = assignments.get(assignmentId);
+        const grade = studentGrades.get(assignmentId);
+        
+        if (!assignment) {
+          return `Assignment ${assignmentId} is not a published assignment in this course`;
+        }
+        if (grade && EXCUSED_GRADE_STATUSES.includes(grade.status)) {
+          return `"${assignment.title}" is ${grade.status} and does not count toward the final grade`;
+        }
+        if (grade && grade.score !== null && SCORED_GRADE_STATUSES.includes(grade.status)) {
+          return `"${assignment.title}" has already been graded`;
+        }
+        return null;
+      };
+      
+      const problems = [];
+      const hypotheticals = new Map();
+      
+      for (const { assignmentId, score } of scores) {
+        const problem = checkUngraded(assignmentId);
+        
+        if (problem) {
+          problems.push(problem);
+        } else if (hypotheticals.has(assignmentId)) {
+          problems.push(`Assignment ${assignmentId} has more than one hypothetical score`);
+        } else if (score > assignments.get(assignmentId).max_score) {
+          problems.push(`Score for "${assignments.get(assignmentId).title}" cannot exceed ${assignments.get(assignmentId).max_score}`);
+        } else {
+          hypotheticals.set(assignmentId, score);
+        }
+      }
+      
+      let targetBand;
+      
+      if (targetAssignmentId !== undefined) {
+        const problem = checkUngraded(targetAssignmentId);
+        
+        if (problem) {
+          problems.push(problem);
+        }
+        
+        const { bands } = await loadGradeScale(dbPool, courseId);
+        targetBand = bands.find(band => band.letter_grade === targetLetterGrade);
+        
+        if (!targetBand) {
+          problems.push(`${targetLetterGrade} is not a letter grade on this course's grade scale`);
+        }
+      }
+      
+      if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid what-if request', details: problems });
+      }
+      
+      const current = calculateFinalGrade(gradebook, studentGrades);
+      const projectedGrades = withHypotheticalScores(studentGrades, hypotheticals);
+      const projected = calculateFinalGrade(gradebook, projectedGrades);
+      
+      const letterGrades = await lookupLetterGrades(dbPool, courseId, [
+        current.final_percentage,
+        projected.final_percentage
+      ]);
+      
+      let target = null;
+      
+      if (targetBand) {
+        const assignment = assignments.get(targetAssignmentId);
+        // The target assignment is solved for, so any hypothetical score on it is set aside
+        projectedGrades.delete(assignment.id);
+        
+        target = {
+          assignment_id: assignment.id,
+          title: assignment.title,
+          max_score: assignment.max_score,
+          letter_grade: targetBand.letter_grade,
+          min_percentage: parseFloat(targetBand.min_percentage),
+          ...solveMinimumScore(gradebook, projectedGrades, assignment, parseFloat(targetBand.min_percentage))
+        };
+      }
+      
+      res.json({
+        course_id: courseId,
+        student_id: studentId,
+        current: {
+          final_percentage: current.final_percentage,
+          letter_grade: letterGrades.get(current.final_percentage) ?? null
+        },
+        hypothetical_scores: [...hypotheticals].map(([assignmentId, score]) => ({
+          assignment_id: assignmentId,
+          title: assignments.get(assignmentId).title,
+          score,
+          max_score: assignments.get(assignmentId).max_score
+        })),
+        projected: {
+          ...projected,
+          letter_grade: letterGrades.get(projected.final_percentage) ?? null
+        },
+        target
+      });
+    } catch (error) {
+      console.error('Error calculating what-if grade:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Reports
+// =============================================================================
+
+// Get grade report for a course
+app.get('/api/v1/courses/:courseId/reports',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const courseId = req.params.courseId;
+      
+      // Any course staff, TAs included, may view the report
+      const { course, error } = await getManagedCourse(courseId, req.user, { roles: COURSE_STAFF_ROLES });
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      // Get comprehensive course report. Extra credit adds to the flat averages
+      // without counting toward how many grades they are taken over, and only
+      // grades with a score count at all.
+      const reportQuery = `
+        SELECT 
+          s.id as student_id,
+          s.student_number,
+          s.first_name,
+          s.last_name,
+          COUNT(g.id) as total_grades,
+          SUM(g.percentage) / NULLIF(COUNT(g.percentage) FILTER (WHERE NOT a.is_extra_credit), 0) as average_percentage,
+          STRING_AGG(DISTINCT g.letter_grade, ', ' ORDER BY g.letter_grade) as letter_grades,
+          MAX(g.graded_at) as last_graded,
+          (
+            SELECT COUNT(*) FROM grades xg
+            JOIN assignments xa ON xg.assignment_id = xa.id
+            WHERE xg.student_id = s.id AND xa.course_id = $1 AND xa.is_published = true
+              AND xg.status = ANY($2::text[])
+          ) as excused_assignments
+        FROM students s
+        JOIN enrollments e ON s.id = e.student_id
+        LEFT JOIN assignments a ON e.course_id = a.course_id AND a.is_published = true
+        LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id AND g.status IN ('graded', 'returned')
+        WHERE e.course_id = $1 AND e.status = 'active'
+        GROUP BY s.id, s.student_number, s.first_name, s.last_name
+        ORDER BY s.last_name, s.first_name
+      `;
+      
+      const reportResult = await dbPool.query(reportQuery, [courseId, EXCUSED_GRADE_STATUSES]);
+      
+      // Get course statistics
+      const statsQuery = `
+        SELECT 
+          COUNT(DISTINCT s.id) as total_students,
+          COUNT(DISTINCT a.id) as total_assignments,
+          SUM(g.percentage) / NULLIF(COUNT(g.percentage) FILTER (WHERE NOT a.is_extra_credit), 0) as class_average,
+          COUNT(CASE WHEN g.letter_grade IN ('A+', 'A', 'A-') THEN 1 END) as a_grades,
+          COUNT(CASE WHEN g.letter_grade IN ('B+', 'B', 'B-') THEN 1 END) as b_grades,
+          COUNT(CASE WHEN g.letter_grade IN ('C+', 'C', 'C-') THEN 1 END) as c_grades,
+          COUNT(CASE WHEN g.letter_grade IN ('D+', 'D', 'D-') THEN 1 END) as d_grades,
+          COUNT(CASE WHEN g.letter_grade = 'F' THEN 1 END) as f_grades
+        FROM enrollments e
+        JOIN students s ON e.student_id = s.id
+        LEFT JOIN assignments a ON e.course_id = a.course_id AND a.is_published = true
+        LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id AND g.status IN ('graded', 'returned')
+        WHERE e.course_id = $1 AND e.status = 'active'
+      `;
+      
+      const statsResult = await dbPool.query(statsQuery, [courseId]);
+      
+      // Attach category-weighted finals alongside the flat averages
+      const finals = await calculateCourseFinalGrades(
+        dbPool,
+        courseId,
+        reportResult.rows.map(row => row.student_id)
+      );
+      const weightedPercentages = [...finals.values()]
+        .map(final => final.final_percentage)
+        .filter(percentage => percentage !== null);
+      
+      res.json({
+        course,
+        students: reportResult.rows.map(row => ({
+          ...row,
+          weighted_percentage: finals.get(row.student_id).final_percentage,
+          final_letter_grade: finals.get(row.student_id).letter_grade
+        })),
+        statistics: {
+          ...statsResult.rows[0],
+          weighted_class_average: weightedPercentages.length > 0
+            ? roundTo(weightedPercentages.reduce((sum, p) => sum + p, 0) / weightedPercentages.length, 2)
+            : null
+        }
+      });
+    } catch (error) {
+      console.error('Error generating course report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Grade Analytics
+// =============================================================================
+
+// Value at fraction p of sorted values, interpolating linearly between ranks
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Summary statistics and a histogram for a list of percentages.
+// Buckets cover 0-100 in bucketSize steps; the last bucket includes 100.
+function describeDistribution(values, bucketSize) {
+  const sorted = values.filter(value => value !== null && !Number.isNaN(value)).sort((a, b) => a - b);
+  const bucketCount = Math.ceil(100 / bucketSize);
+  const histogram = Array.from({ length: bucketCount }, (_, index) => ({
+    min: index * bucketSize,
+    max: Math.min((index + 1) * bucketSize, 100),
+    count: 0
+  }));
+  
+  for (const value of sorted) {
+    const index = Math.min(Math.max(Math.floor(value / bucketSize), 0), bucketCount - 1);
+    histogram[index].count++;
+  }
+  
+  if (sorted.length === 0) {
+    return {
+      count: 0, mean: null, median: null, std_dev: null, min: null, max: null,
+      quartiles: null, histogram
+    };
+  }
+  
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / sorted.length;
+  
+  return {
+    count: sorted.length,
+    mean: roundTo(mean, 2),
+    median: roundTo(quantile(sorted, 0.5), 2),
+    std_dev: roundTo(Math.sqrt(variance), 2),
+    min: roundTo(sorted[0], 2),
+    max: roundTo(sorted[sorted.length - 1], 2),
+    quartiles: {
+      q1: roundTo(quantile(sorted, 0.25), 2),
+      q2: roundTo(quantile(sorted, 0.5), 2),
+      q3: roundTo(quantile(sorted, 0.75), 2)
+    },
+    histogram
+  };
+}
+
+// Published assignments in the given courses with the percentage scored by each
+// student still enrolled (dropped and withdrawn students are left out)
+async function loadAssignmentScores(client, courseIds) {
+  const result = await client.query(`
+    SELECT a.id, a.course_id, a.title, a.assignment_type, a.max_score, a.due_date,
+           COALESCE(
+             ARRAY_AGG(ROUND(g.score / a.max_score * 100, 2)) FILTER (WHERE g.score IS NOT NULL),
+             '{}'
+           ) as percentages
+    FROM assignments a
+    LEFT JOIN (
+      grades g JOIN enrollments e ON g.student_id = e.student_id AND e.status IN ('active', 'completed')
+    ) ON a.id = g.assignment_id AND e.course_id = a.course_id AND g.status = ANY($2::text[])
+    WHERE a.course_id = ANY($1::int[]) AND a.is_published = true
+    GROUP BY a.id
+    ORDER BY a.due_date ASC, a.id ASC
+  `, [courseIds, SCORED_GRADE_STATUSES]);
+  
+  return result.rows.map(row => ({
+    ...row,
+    percentages: row.percentages.map(parseFloat)
+  }));
+}
+
+async function loadFinalPercentages(client, courseId) {
+  const roster = await getActiveRoster(client, courseId);
+  const finals = await calculateCourseFinalGrades(client, courseId, roster.map(student => student.id));
+  return [...finals.values()].map(final => final.final_percentage);
+}
+
+// Get grade distributions for a course and its assignments, compared against the
+// other sections of the same course code in the same term
+app.get('/api/v1/courses/:courseId/analytics',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('bucketSize').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const bucketSize = req.query.bucketSize || 10;
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const sectionsResult = await dbPool.query(`
+        SELECT id, section, instructor_id
+        FROM courses
+        WHERE course_code = $1 AND semester IS NOT DISTINCT FROM $2 AND year IS NOT DISTINCT FROM $3
+        ORDER BY section, id
+      `, [course.course_code, course.semester, course.year]);
+      
+      const sections = sectionsResult.rows;
+      const assignments = await loadAssignmentScores(dbPool, sections.map(section => section.id));
+      
+      const sectionFinals = [];
+      for (const section of sections) {
+        sectionFinals.push(await loadFinalPercentages(dbPool, section.id));
+      }
+      
+      const ownAssignments = assignments.filter(assignment => assignment.course_id === course.id);
+      
+      // Sections are compared item by item, matching assignments by title
+      const items = new Map();
+      for (const assignment of assignments) {
+        const key = assignment.title.trim().toLowerCase();
+        if (!items.has(key)) {
+          items.set(key, { title: assignment.title, sections: [] });
+        }
+        
+        const { histogram, ...stats } = describeDistribution(assignment.percentages, bucketSize);
+        items.get(key).sections.push({
+          course_id: assignment.course_id,
+          section: sections.find(section => section.id === assignment.course_id).section,
+          assignment_id: assignment.id,
+          ...stats
+        });
+      }
+      
+      res.json({
+        course: {
+          id: course.id,
+          course_code: course.course_code,
+          section: course.section,
+          semester: course.semester,
+          year: course.year
+        },
+        bucket_size: bucketSize,
+        final_grades: describeDistribution(sectionFinals[sections.findIndex(section => section.id === course.id)], bucketSize),
+        assignments: ownAssignments.map(assignment => ({
+          assignment_id: assignment.id,
+          title: assignment.title,
+          assignment_type: assignment.assignment_type,
+          max_score: parseFloat(assignment.max_score),
+          due_date: assignment.due_date,
+          ...describeDistribution(assignment.percentages, bucketSize)
+        })),
+        section_comparison: {
+          sections: sections.map((section, index) => {
+            const { histogram, ...stats } = describeDistribution(sectionFinals[index], bucketSize);
+            return { course_id: section.id, section: section.section, ...stats };
+          }),
+          items: [...items.values()].filter(item => item.sections.length > 1)
+        }
+      });
+    } catch (error) {
+      console.error('Error generating grade analytics:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - At-risk Students
+// =============================================================================
+
+const AT_RISK_THRESHOLDS = {
+  // Weighted average below this is flagged as low
+  minAverage: parseFloat(process.env.AT_RISK_MIN_AVERAGE || 60),
+  // Points the average has fallen over the most recent graded assignments
+  averageDrop: parseFloat(process.env.AT_RISK_AVERAGE_DROP || 10),
+  recentAssignments: parseInt(process.env.AT_RISK_RECENT_ASSIGNMENTS || 3),
+  missingAssignments: parseInt(process.env.AT_RISK_MISSING_ASSIGNMENTS || 2),
+  minAttendance: parseFloat(process.env.AT_RISK_MIN_ATTENDANCE || 75)
+};
+
+const AT_RISK_SCAN_LOCK_ID = 7140516;
+
+// Each raised flag is worth 12.5-25 points depending on how far past its threshold
+// the student is, giving a 0-100 score used for ranking
+function flagSeverity(overshoot) {
+  return 12.5 + 12.5 * Math.min(Math.max(overshoot, 0), 1);
+}
+
+// Evaluate one student's signals against the thresholds
+function assessStudentRisk(gradebook, studentGrades, attendancePercentage) {
+  const thresholds = AT_RISK_THRESHOLDS;
+  const current = calculateFinalGrade(gradebook, studentGrades).final_percentage;
+  
+  // Trend: the average now against the average before the most recent graded assignments
+  const graded = gradebook.assignments
+    .map(assignment => assignment.id)
+    .filter(id => {
+      const grade = studentGrades.get(id);
+      return grade && grade.score !== null && SCORED_GRADE_STATUSES.includes(grade.status);
+    });
+  
+  let previous = null;
+  if (graded.length > thresholds.recentAssignments) {
+    const earlier = new Map(studentGrades);
+    graded.slice(-thresholds.recentAssignments).forEach(id => earlier.delete(id));
+    previous = calculateFinalGrade(gradebook, earlier).final_percentage;
+  }
+  
+  const change = current !== null && previous !== null ? roundTo(current - previous, 2) : null;
+  const missingCount = [...studentGrades.values()].filter(grade => grade.status === 'missing').length;
+  
+  const flags = [];
+  let riskScore = 0;
+  
+  if (current !== null && current < thresholds.minAverage) {
+    flags.push('low_average');
+    riskScore += flagSeverity((thresholds.minAverage - current) / thresholds.minAverage);
+  }
+  
+  if (change !== null && -change >= thresholds.averageDrop) {
+    flags.push('falling_average');
+    riskScore += flagSeverity((-change - thresholds.averageDrop) / thresholds.averageDrop);
+  }
+  
+  if (missingCount >= thresholds.missingAssignments) {
+    flags.push('missing_assignments');
+    riskScore += flagSeverity((missingCount - thresholds.missingAssignments) / thresholds.missingAssignments);
+  }
+  
+  if (attendancePercentage !== null && attendancePercentage < thresholds.minAttendance) {
+    flags.push('low_attendance');
+    riskScore += flagSeverity((thresholds.minAttendance - attendancePercentage) / thresholds.minAttendance);
+  }
+  
+  return {
+    current_average: current,
+    previous_average: previous,
+    average_change: change,
+    missing_count: missingCount,
+    attendance_percentage: attendancePercentage,
+    flags,
+    risk_score: roundTo(riskScore, 2)
+  };
+}
+
+// Risk assessment for every active student in a course, highest risk first
+async function evaluateCourseRisk(client, course) {
+  const rosterResult = await client.query(`
+    SELECT s.id, s.student_number, s.first_name, s.last_name, s.user_id, s.advisor_id,
+           ai.attendance_percentage
+    FROM students s
+    JOIN enrollments e ON s.id = e.student_id
+    LEFT JOIN attendance_integration ai ON s.id = ai.student_id AND ai.course_id = e.course_id
+    WHERE e.course_id = $1 AND e.status = 'active'
+  `, [course.id]);
+  
+  const roster = rosterResult.rows;
+  const gradebook = await loadCourseGradebook(client, course.id, roster.map(student => student.id));
+  
+  return roster
+    .map(student => ({
+      student_id: student.id,
+      student_number: student.student_number,
+      first_name: student.first_name,
+      last_name: student.last_name,
+      advisor_id: student.advisor_id,
+      course_id: course.id,
+      course_code: course.course_code,
+      instructor_id: course.instructor_id,
+      ...assessStudentRisk(
+        gradebook,
+        gradebook.gradesByStudent.get(student.id),
+        student.attendance_percentage === null ? null : parseFloat(student.attendance_percentage)
+      )
+    }))
+    .sort((a, b) => b.risk_score - a.risk_score || a.last_name.localeCompare(b.last_name));
+}
+
+// Re-evaluate every active course, alerting the instructors and advisor about flags
+// a student did not have at the last scan. Students who recover are cleared so a
+// later relapse alerts again.
+async function runAtRiskScan() {
+  const coursesResult = await dbPool.query(
+    "SELECT id, course_code, course_name, instructor_id FROM courses WHERE status = 'active'"
+  );
+  
+  let flagged = 0;
+  let alerts = 0;
+  
+  for (const course of coursesResult.rows) {
+    const [assessments, previousResult, managersResult] = await Promise.all([
+      evaluateCourseRisk(dbPool, course),
+      dbPool.query('SELECT student_id, flags FROM at_risk_flags WHERE course_id = $1', [course.id]),
+      dbPool.query(
+        'SELECT user_id FROM course_staff WHERE course_id = $1 AND role = ANY($2::text[])',
+        [course.id, COURSE_MANAGER_ROLES]
+      )
+    ]);
+    
+    const previousFlags = new Map(previousResult.rows.map(row => [row.student_id, row.flags]));
+    const atRisk = assessments.filter(assessment => assessment.flags.length > 0);
+    flagged += atRisk.length;
+    
+    for (const assessment of atRisk) {
+      const known = previousFlags.get(assessment.student_id) || [];
+      const newFlags = assessment.flags.filter(flag => !known.includes(flag));
+      const recipients = [...new Set([...managersResult.rows.map(row => row.user_id), assessment.advisor_id])]
+        .filter(Boolean);
+      
+      if (newFlags.length > 0) {
+        for (const userId of recipients) {
+          await publishNotification({
+            userId,
+            title: `At-risk alert: ${assessment.first_name} ${assessment.last_name} in ${course.course_code}`,
+            message: `${assessment.first_name} ${assessment.last_name} (${assessment.student_number}) was flagged in ` +
+              `${course.course_code} for: ${newFlags.map(flag => flag.replace(/_/g, ' ')).join(', ')}.`,
+            type: 'system',
+            priority: 'high',
+            metadata: {
+              courseId: course.id,
+              studentId: assessment.student_id,
+              flags: assessment.flags,
+              riskScore: assessment.risk_score
+            }
+          });
+          alerts++;
+        }
+      }
+      
+      await dbPool.query(`
+        INSERT INTO at_risk_flags (student_id, course_id, flags, risk_score, details, last_notified_at)
+        VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT (student_id, course_id)
+        DO UPDATE SET
+          flags = EXCLUDED.flags,
+          risk_score = EXCLUDED.risk_score,
+          details = EXCLUDED.details,
+          last_evaluated_at = CURRENT_TIMESTAMP,
+          last_notified_at = COALESCE(EXCLUDED.last_notified_at, at_risk_flags.last_notified_at)
+      `, [
+        assessment.student_id,
+        course.id,
+        assessment.flags,
+        assessment.risk_score,
+        JSON.stringify({
+          current_average: assessment.current_average,
+          average_change: assessment.average_change,
+          missing_count: assessment.missing_count,
+          attendance_percentage: assessment.attendance_percentage
+        }),
+        newFlags.length > 0 && recipients.length > 0
+      ]);
+    }
+    
+    await dbPool.query(
+      'DELETE FROM at_risk_flags WHERE course_id = $1 AND NOT (student_id = ANY($2::int[]))',
+      [course.id, atRisk.map(assessment => assessment.student_id)]
+    );
+  }
+  
+  await sendMetricToCloudWatch('AtRiskStudents', flagged, 'Count');
+  
+  return { courses: coursesResult.rows.length, flagged, alerts };
+}
+
+// Get the ranked at-risk list for a course
+app.get('/api/v1/courses/:courseId/at-risk',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('includeAll').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const assessments = await evaluateCourseRisk(dbPool, course);
+      
+      res.json({
+        course_id: course.id,
+        thresholds: AT_RISK_THRESHOLDS,
+        students: req.query.includeAll === 'true'
+          ? assessments
+          : assessments.filter(assessment => assessment.flags.length > 0)
+      });
+    } catch (error) {
+      console.error('Error fetching at-risk students:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get the ranked at-risk list across a department's active courses.
+// Teachers only see the courses they instruct or co-instruct.
+app.get('/api/v1/departments/:department/at-risk',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('department').isString().trim().isLength({ min: 1, max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit || 100;
+      const isAdmin = req.user.groups.includes('admins');
+      
+      const coursesResult = await dbPool.query(`
+        SELECT c.id, c.course_code, c.course_name, c.instructor_id
+        FROM courses c
+        WHERE c.department = $1 AND c.status = 'active' AND ($2 OR ${courseStaffCondition('$3', COURSE_MANAGER_ROLES)})
+        ORDER BY c.course_code
+      `, [req.params.department, isAdmin, req.user.id]);
+      
+      const students = [];
+      for (const course of coursesResult.rows) {
+        const assessments = await evaluateCourseRisk(dbPool, course);
+        students.push(...assessments.filter(assessment => assessment.flags.length > 0));
+      }
+      
+      students.sort((a, b) => b.risk_score - a.risk_score || a.last_name.localeCompare(b.last_name));
+      
+      res.json({
+        department: req.params.department,
+        courses: coursesResult.rows.length,
+        thresholds: AT_RISK_THRESHOLDS,
+        total_flagged: students.length,
+        students: students.slice(0, limit)
+      });
+    } catch (error) {
+      console.error('Error fetching department at-risk students:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Run the at-risk scan now instead of waiting for the schedule
+app.post('/api/v1/at-risk/scan',
+  authenticateToken,
+  requireRole(['admins']),
+  async (req, res) => {
+    try {
+      const result = await runScheduledJob('at-risk-scan', AT_RISK_SCAN_LOCK_ID, runAtRiskScan);
+      
+      if (!result) {
+        return res.status(409).json({ error: 'An at-risk scan is already running' });
+      }
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Error running at-risk scan:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Attendance Sync
+// =============================================================================
+
+const ATTENDANCE_SYNC_LOCK_ID = 7140517;
+
+// Recorded as graded_by on participation grades the sync writes
+const ATTENDANCE_SYNC_GRADER = 'attendance-sync';
+
+// Calendar window of each semester, used to pick a term's class sessions out of DynamoDB
+const TERM_DATE_RANGES = {
+  spring: ['01-01', '05-31'],
+  summer: ['06-01', '07-31'],
+  fall: ['08-01', '12-31']
+};
+
+// Applied to courses without a participation policy of their own
+const DEFAULT_PARTICIPATION_POLICY = {
+  assignment_id: null,
+  late_credit: 0.5,
+  full_credit_percentage: 90
+};
+
+// Points are on the linked assignment's scale, or out of 100 when no assignment is linked
+function calculateParticipationPoints(attendancePercentage, policy, maxPoints) {
+  const ratio = Math.min(attendancePercentage / parseFloat(policy.full_credit_percentage), 1);
+  return roundTo(ratio * maxPoints, 2);
+}
+
+async function queryAllItems(params) {
+  const items = [];
+  let lastKey;
+  
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+  
+  return items;
+}
+
+// Class sessions a course section has already held this term, with their check-ins. Every
+// section of a course code shares it in the attendance tracker, so a section's sessions are
+// the ones taught by its own staff.
+async function loadCourseSessions(course) {
+  const today = new Date().toISOString().slice(0, 10);
+  const range = course.semester && course.year
+    ? TERM_DATE_RANGES[course.semester].map(day => `${course.year}-${day}`)
+    : ['0000-01-01', today];
+  const to = range[1] < today ? range[1] : today;
+  
+  const [classes, staffResult] = await Promise.all([
+    queryAllItems({
+      TableName: process.env.CLASSES_TABLE_NAME,
+      IndexName: 'CourseIndex',
+      KeyConditionExpression: 'course_code = :courseCode AND #date BETWEEN :from AND :to',
+      ExpressionAttributeNames: { '#date': 'date' },
+      ExpressionAttributeValues: { ':courseCode': course.course_code, ':from': range[0], ':to': to }
+    }),
+    dbPool.query(`
+      SELECT instructor_id AS user_id FROM courses WHERE id = $1 AND instructor_id IS NOT NULL
+      UNION
+      SELECT user_id FROM course_staff WHERE course_id = $1
+    `, [course.id])
+  ]);
+  
+  const staffIds = new Set(staffResult.rows.map(row => row.user_id));
+  const sessions = [];
+  for (const session of classes.filter(session => staffIds.has(session.instructor_id))) {
+    const records = await queryAllItems({
+      TableName: process.env.ATTENDANCE_TABLE_NAME,
+      IndexName: 'ClassDateIndex',
+      KeyConditionExpression: 'class_id = :classId',
+      ExpressionAttributeValues: { ':classId': session.class_id }
+    });
+    
+    sessions.push({ classId: session.class_id, records });
+  }
+  
+  return sessions;
+}
+
+// Per-student counts of sessions attended on time and late, keyed by Cognito user id.
+// A student with several check-ins for one session counts once, at their best status.
+function aggregateAttendance(sessions) {
+  const byUser = new Map();
+  
+  for (const session of sessions) {
+    const statuses = new Map();
+    
+    for (const record of session.records) {
+      if (record.attendance_status !== 'present' && record.attendance_status !== 'late') continue;
+      if (statuses.get(record.user_id) !== 'present') {
+        statuses.set(record.user_id, record.attendance_status);
+      }
+    }
+    
+    for (const [userId, status] of statuses) {
+      if (!byUser.has(userId)) {
+        byUser.set(userId, { present: 0, late: 0 });
+      }
+      byUser.get(userId)[status]++;
+    }
+  }
+  
+  return byUser;
+}
+
+async function syncCourseAttendance(course, sessions) {
+  const [rosterResult, policyResult] = await Promise.all([
+    dbPool.query(`
+      SELECT s.id, s.user_id
+      FROM students s
+      JOIN enrollments e ON s.id = e.student_id
+      WHERE e.course_id = $1 AND e.status = 'active'
+    `, [course.id]),
+    dbPool.query(`
+      SELECT p.*, a.max_score
+      FROM participation_policies p
+      LEFT JOIN assignments a ON p.assignment_id = a.id
+      WHERE p.course_id = $1
+    `, [course.id])
+  ]);
+  
+  const policy = policyResult.rows[0] || DEFAULT_PARTICIPATION_POLICY;
+  const lateCredit = parseFloat(policy.late_credit);
+  const maxPoints = policy.assignment_id ? parseFloat(policy.max_score) : 100;
+  const attendance = aggregateAttendance(sessions);
+  
+  // Grades are only written while the course is open; close-out has already fixed them
+  const writeGrades = Boolean(policy.assignment_id) && !course.grades_locked_at;
+  
+  return withTransaction(async (client) => {
+    let gradesWritten = 0;
+    
+    for (const student of rosterResult.rows) {
+      const counts = attendance.get(student.user_id) || { present: 0, late: 0 };
+      const percentage = roundTo(
+        Math.min((counts.present + counts.late * lateCredit) / sessions.length * 100, 100),
+        2
+      );
+      const points = calculateParticipationPoints(percentage, policy, maxPoints);
+      
+      await client.query(`
+        INSERT INTO attendance_integration (
+          student_id, course_id, attendance_percentage, attendance_points,
+          sessions_held, sessions_present, sessions_late, last_updated
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+        ON CONFLICT (student_id, course_id)
+        DO UPDATE SET
+          attendance_percentage = EXCLUDED.attendance_percentage,
+          attendance_points = EXCLUDED.attendance_points,
+          sessions_held = EXCLUDED.sessions_held,
+          sessions_present = EXCLUDED.sessions_present,
+          sessions_late = EXCLUDED.sessions_late,
+          last_updated = CURRENT_TIMESTAMP
+      `, [student.id, course.id, percentage, points, sessions.length, counts.present, counts.late]);
+      
+      if (!writeGrades) continue;
+      
+      const existingResult = await client.query(
+        'SELECT score, status, graded_by FROM grades WHERE student_id = $1 AND assignment_id = $2',
+        [student.id, policy.assignment_id]
+      );
+      const existing = existingResult.rows[0];
+      
+      // Leave excusals alone, and scores someone entered by hand
+      if (existing) {
+        if (EXCUSED_GRADE_STATUSES.includes(existing.status)) continue;
+        if (existing.score !== null && existing.graded_by !== ATTENDANCE_SYNC_GRADER) continue;
+        if (parseFloat(existing.score) === points) continue;
+      }
+      
+      await upsertGrade(client, {
+        studentId: student.id,
+        assignmentId: policy.assignment_id,
+        score: points,
+        rawScore: points,
+        feedback: `Attendance: ${counts.present} on time, ${counts.late} late of ${sessions.length} sessions`,
+        gradedBy: ATTENDANCE_SYNC_GRADER,
+        submissionDate: null,
+        isLate: false,
+        lateDays: 0,
+        lateOverrideReason: null,
+        changeReason: 'Attendance sync'
+      });
+      gradesWritten++;
+    }
+    
+    return { students: rosterResult.rows.length, grades_written: gradesWritten };
+  });
+}
+
+// Aggregate DynamoDB attendance into attendance_integration for every active course
+async function runAttendanceSync() {
+  const coursesResult = await dbPool.query(`
+    SELECT id, course_code, semester, year, grades_locked_at
+    FROM courses
+    WHERE status = 'active'
+    ORDER BY course_code, id
+  `);
+  
+  const summary = { courses: 0, students: 0, grades_written: 0, skipped: [] };
+  
+  for (const course of coursesResult.rows) {
+    const sessions = await loadCourseSessions(course);
+    
+    if (sessions.length === 0) {
+      summary.skipped.push(course.id);
+      continue;
+    }
+    
+    const result = await syncCourseAttendance(course, sessions);
+    summary.courses++;
+    summary.students += result.students;
+    summary.grades_written += result.grades_written;
+  }
+  
+  await sendMetricToCloudWatch('AttendanceSynced', summary.students, 'Count');
+  
+  return summary;
+}
+
+// Get a course's participation policy, falling back to the defaults
+app.get('/api/v1/courses/:courseId/participation-policy',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [param('courseId').isInt()],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const result = await dbPool.query('SELECT * FROM participation_policies WHERE course_id = $1', [course.id]);
+      
+      res.json(result.rows[0] || { course_id: course.id, ...DEFAULT_PARTICIPATION_POLICY, is_default: true });
+    } catch (error) {
+      console.error('Error fetching participation policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Set how attendance converts into participation points for a course
+app.put('/api/v1/courses/:courseId/participation-policy',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    body('assignmentId').optional({ nullable: true }).isInt(),
+    body('lateCredit').optional().isFloat({ min: 0, max: 1 }),
+    body('fullCreditPercentage').optional().isFloat({ gt: 0, max: 100 })
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const { assignmentId = null } = req.body;
+      
+      if (assignmentId !== null) {
+        const assignmentResult = await dbPool.query(
+          'SELECT course_id, assignment_type FROM assignments WHERE id = $1',
+          [assignmentId]
+        );
+        const assignment = assignmentResult.rows[0];
+        
+        if (!assignment || assignment.course_id !== course.id) {
+          return res.status(400).json({ error: 'Assignment does not belong to this course' });
+        }
+        
+        if (assignment.assignment_type !== 'participation') {
+          return res.status(400).json({ error: "Attendance can only be graded into a 'participation' assignment" });
+        }
+      }
+      
+      const result = await dbPool.query(`
+        INSERT INTO participation_policies (course_id, assignment_id, late_credit, full_credit_percentage)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (course_id)
+        DO UPDATE SET
+          assignment_id = EXCLUDED.assignment_id,
+          late_credit = EXCLUDED.late_credit,
+          full_credit_percentage = EXCLUDED.full_credit_percentage
+        RETURNING *
+      `, [
+        course.id,
+        assignmentId,
+        req.body.lateCredit ?? DEFAULT_PARTICIPATION_POLICY.late_credit,
+        req.body.fullCreditPercentage ?? DEFAULT_PARTICIPATION_POLICY.full_credit_percentage
+      ]);
+      
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error updating participation policy:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Get synced attendance for a course
+app.get('/api/v1/courses/:courseId/attendance',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
   [param('courseId').isInt()],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const courseId = req.params.courseId;
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
+      
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      
+      const result = await dbPool.query(`
+        SELECT ai.*, s.student_number, s.first_name, s.last_name
+        FROM attendance_integration ai
+        JOIN students s ON ai.student_id = s.id
+        WHERE ai.course_id = $1
+        ORDER BY s.last_name, s.first_name
+      `, [course.id]);
+      
+      res.json(result.rows);
+    } catch (error) {
+      console.error('Error fetching course attendance:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Run the attendance sync now instead of waiting for the schedule
+app.post('/api/v1/attendance/sync',
+  authenticateToken,
+  requireRole(['admins']),
+  async (req, res) => {
+    try {
+      if (!process.env.ATTENDANCE_TABLE_NAME || !process.env.CLASSES_TABLE_NAME) {
+        return res.status(503).json({ error: 'Attendance tables are not configured' });
+      }
+      
+      const result = await runScheduledJob('attendance-sync', ATTENDANCE_SYNC_LOCK_ID, runAttendanceSync);
+      
+      if (!result) {
+        return res.status(409).json({ error: 'An attendance sync is already running' });
+      }
+      
+      res.json(result);
+    } catch (error) {
+      console.error('Error syncing attendance:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Gradebook Export
+// =============================================================================
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Students × assignments matrix with category subtotals, final percentage and letter grade.
+// Cells for assignments still graded anonymously are left blank so the export can't be
+// used to match students to their anonymous marks.
+async function buildGradebookMatrix(client, course) {
+  const roster = await getActiveRoster(client, course.id);
+  const gradebook = await loadCourseGradebook(client, course.id, roster.map(student => student.id));
+  const finals = await gradeFinals(client, gradebook);
+  
+  // An empty calculation yields the category list, including the implicit 'Overall' category
+  const categoryColumns = calculateFinalGrade(gradebook, new Map()).categories;
+  
+  const headers = [
+    'Student Number',
+    'Last Name',
+    'First Name',
+    ...gradebook.assignments.map(a => `${a.title} (${a.max_score})` + (isIdentityMasked(a) ? ' [anonymous]' : '')),
+    ...categoryColumns.map(c => `${c.name} % (${roundTo(c.weight * 100, 2)}%)`),
+    'Final %',
+    'Letter Grade'
+  ];
+  
+  const rows = roster.map(student => {
+    const studentGrades = gradebook.gradesByStudent.get(student.id);
+    const final = finals.get(student.id);
+    
+    return [
+      student.student_number,
+      student.last_name,
+      student.first_name,
+      ...gradebook.assignments.map(assignment => {
+        const grade = studentGrades.get(assignment.id);
+        if (!grade || isIdentityMasked(assignment)) return null;
+        return grade.score !== null ? grade.score : grade.status;
+      }),
+      ...final.categories.map(category => category.average_percentage),
+      final.final_percentage,
+      final.letter_grade
+    ];
+  });
+  
+  return {
+    headers,
+    rows,
+    identityColumns: 3,
+    assignmentColumns: gradebook.assignments.length
+  };
+}
+
+// Spreadsheet apps run text starting with these as a formula when they open a CSV
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote text that would otherwise run as a formula; numbers are left alone
+function escapeCsvFormula(value) {
+  return typeof value === 'string' && CSV_FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function renderGradebookCsv(matrix) {
+  return stringifyCsv([matrix.headers, ...matrix.rows].map(row => row.map(escapeCsvFormula)));
+}
+
+async function renderGradebookXlsx(course, matrix) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  
+  const sheet = workbook.addWorksheet('Gradebook', {
+    views: [{ state: 'frozen', xSplit: matrix.identityColumns, ySplit: 1 }]
+  });
+  
+  sheet.addRow(matrix.headers).font = { bold: true };
+  matrix.rows.forEach(row => sheet.addRow(row));
+  
+  sheet.columns.forEach((column, index) => {
+    column.width = index < matrix.identityColumns ? 16 : 14;
+  });
+  
+  sheet.headerFooter.oddHeader = `${course.course_code} ${course.course_name} - Gradebook`;
+  
+  return workbook.xlsx.writeBuffer();
+}
+
+// Draw a simple ruled table, repeating the header row on each new page
+function drawPdfTable(doc, headers, rows, columnWidths) {
+  const rowHeight = 16;
+  const startX = doc.page.margins.left;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  
+  const drawRow = (cells, bold) => {
+    if (doc.y + rowHeight > bottom()) {
+      doc.addPage();
+      if (!bold) drawRow(headers, true);
+    }
+    
+    const y = doc.y;
+    let x = startX;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    
+    cells.forEach((cell, index) => {
+      doc.text(cell === null || cell === undefined ? '' : String(cell), x + 2, y + 4, {
+        width: columnWidths[index] - 4,
+        height: rowHeight - 4,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += columnWidths[index];
+    });
+    
+    doc.moveTo(startX, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.5).stroke();
+    doc.x = startX;
+    doc.y = y + rowHeight;
+  };
+  
+  drawRow(headers, true);
+  rows.forEach(row => drawRow(row, false));
+}
+
+function renderGradebookPdf(course, matrix) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    doc.font('Helvetica-Bold').fontSize(14).text(`${course.course_code} - ${course.course_name}`);
+    doc.font('Helvetica').fontSize(9).text(
+      `${course.semester || ''} ${course.year || ''}  |  Generated ${new Date().toISOString().slice(0, 10)}`
+    );
+    doc.moveDown();
+    
+    // Assignments are split into page-width sections, each repeating the student columns,
+    // followed by a summary section with category subtotals and the final grade
+    const identityWidths = [70, 90, 90];
+    const valueWidth = 62;
+    const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const perSection = Math.max(1, Math.floor((usableWidth - 250) / valueWidth));
+    const identity = row => row.slice(0, matrix.identityColumns);
+    const assignmentEnd = matrix.identityColumns + matrix.assignmentColumns;
+    
+    for (let start = matrix.identityColumns; start < assignmentEnd; start += perSection) {
+      const end = Math.min(start + perSection, assignmentEnd);
+      doc.font('Helvetica-Bold').fontSize(10).text('Assignments');
+      drawPdfTable(
+        doc,
+        [...identity(matrix.headers), ...matrix.headers.slice(start, end)],
+        matrix.rows.map(row => [...identity(row), ...row.slice(start, end)]),
+        [...identityWidths, ...Array(end - start).fill(valueWidth)]
+      );
+      doc.moveDown();
+    }
+    
+    const summaryHeaders = matrix.headers.slice(assignmentEnd);
+    doc.font('Helvetica-Bold').fontSize(10).text('Summary');
+    drawPdfTable(
+      doc,
+      [...identity(matrix.headers), ...summaryHeaders],
+      matrix.rows.map(row => [...identity(row), ...row.slice(assignmentEnd)]),
+      [...identityWidths, ...Array(summaryHeaders.length).fill(valueWidth)]
+    );
+    
+    doc.end();
+  });
+}
+
+// Download a course gradebook as CSV, XLSX or PDF
+app.get('/api/v1/courses/:courseId/gradebook/export',
+  authenticateToken,
+  requireRole(['teachers', 'admins']),
+  [
+    param('courseId').isInt(),
+    query('format').optional().isIn(Object.keys(EXPORT_CONTENT_TYPES))
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'csv';
+      const { course, error } = await getManagedCourse(req.params.courseId, req.user);
       
-      // Verify access to course
-      const courseQuery = `
-        SELECT * FROM courses 
-        WHERE id = $1 AND (instructor_id = $2 OR $3 = ANY($4::text[]))
-      `;
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
       
-      const courseResult = await dbPool.query(courseQuery, [
-        courseId, req.user.id, 'admins', req.user.groups
-      ]);
+      const matrix = await buildGradebookMatrix(dbPool, course);
       
-      if (courseResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied to this course' });
+      let content;
+      if (format === 'xlsx') {
+        content = await renderGradebookXlsx(course, matrix);
+      } else if (format === 'pdf') {
+        content = await renderGradebookPdf(course, matrix);
+      } else {
+        content = renderGradebookCsv(matrix);
       }
       
-      // Get comprehensive course report
-      const reportQuery = `
-        SELECT 
-          s.id as student_id,
-          s.student_number,
-          s.first_name,
-          s.last_name,
-          COUNT(g.id) as total_grades,
-          AVG(g.percentage) as average_percentage,
-          STRING_AGG(DISTINCT g.letter_grade, ', ' ORDER BY g.letter_grade) as letter_grades,
-          MAX(g.graded_at) as last_graded
-        FROM students s
-        JOIN enrollments e ON s.id = e.student_id
-        LEFT JOIN assignments a ON e.course_id = a.course_id AND a.is_published = true
-        LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id AND g.status = 'graded'
-        WHERE e.course_id = $1 AND e.status = 'active'
-        GROUP BY s.id, s.student_number, s.first_name, s.last_name
-        ORDER BY s.last_name, s.first_name
-      `;
+      const filename = `${course.course_code}-gradebook.${format}`.replace(/[^\w.-]/g, '_');
       
-      const reportResult = await dbPool.query(reportQuery, [courseId]);
+      res.set({
+        'Content-Type': EXPORT_CONTENT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.send(Buffer.from(content));
+    } catch (error) {
+      console.error('Error exporting gradebook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Transcripts
+// =============================================================================
+
+// Terms within a year, in calendar order
+const SEMESTER_ORDER = ['spring', 'summer', 'fall'];
+
+// GPA points for letters a course's own scale doesn't define
+const DEFAULT_GPA_POINTS = new Map(DEFAULT_GRADE_SCALE.map(band => [band.letter_grade, band.gpa_points]));
+
+// GPA is weighted by course credits: sum(gpa_points × credits) / credits with a GPA-bearing grade
+function gpaFromTotals(qualityPoints, gpaCredits) {
+  return gpaCredits > 0 ? roundTo(qualityPoints / gpaCredits, 2) : null;
+}
+
+// Group enrollments into terms with term and running cumulative totals.
+// Only completed courses count toward credits attempted and GPA; in-progress
+// and withdrawn courses are listed but carry no credit.
+function summarizeTranscript(enrollments) {
+  const terms = new Map();
+  
+  for (const enrollment of enrollments) {
+    const key = `${enrollment.year || ''}-${enrollment.semester || ''}`;
+    
+    if (!terms.has(key)) {
+      terms.set(key, {
+        year: enrollment.year,
+        semester: enrollment.semester,
+        courses: [],
+        credits_attempted: 0,
+        credits_earned: 0,
+        gpa_credits: 0,
+        quality_points: 0
+      });
+    }
+    
+    const term = terms.get(key);
+    const credits = parseInt(enrollment.credits) || 0;
+    const course = {
+      course_id: enrollment.course_id,
+      course_code: enrollment.course_code,
+      course_name: enrollment.course_name,
+      credits,
+      status: enrollment.status,
+      final_grade: enrollment.status === 'withdrawn' ? 'W' : enrollment.final_grade,
+      final_percentage: enrollment.final_percentage === null ? null : parseFloat(enrollment.final_percentage),
+      credits_earned: 0,
+      gpa_points: null
+    };
+    
+    if (enrollment.status === 'completed') {
+      const gpaPoints = enrollment.gpa_points !== null
+        ? parseFloat(enrollment.gpa_points)
+        : DEFAULT_GPA_POINTS.get(enrollment.final_grade);
       
-      // Get course statistics
-      const statsQuery = `
-        SELECT 
-          COUNT(DISTINCT s.id) as total_students,
-          COUNT(DISTINCT a.id) as total_assignments,
-          AVG(g.percentage) as class_average,
-          COUNT(CASE WHEN g.letter_grade IN ('A+', 'A', 'A-') THEN 1 END) as a_grades,
-          COUNT(CASE WHEN g.letter_grade IN ('B+', 'B', 'B-') THEN 1 END) as b_grades,
-          COUNT(CASE WHEN g.letter_grade IN ('C+', 'C', 'C-') THEN 1 END) as c_grades,
-          COUNT(CASE WHEN g.letter_grade IN ('D+', 'D', 'D-') THEN 1 END) as d_grades,
-          COUNT(CASE WHEN g.letter_grade = 'F' THEN 1 END) as f_grades
-        FROM enrollments e
-        JOIN students s ON e.student_id = s.id
-        LEFT JOIN assignments a ON e.course_id = a.course_id AND a.is_published = true
-        LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id AND g.status = 'graded'
-        WHERE e.course_id = $1 AND e.status = 'active'
-      `;
+      course.credits_earned = parseInt(enrollment.credits_earned) || 0;
+      term.credits_attempted += credits;
+      term.credits_earned += course.credits_earned;
       
-      const statsResult = await dbPool.query(statsQuery, [courseId]);
+      if (gpaPoints !== undefined && gpaPoints !== null) {
+        course.gpa_points = gpaPoints;
+        term.gpa_credits += credits;
+        term.quality_points += gpaPoints * credits;
+      }
+    }
+    
+    term.courses.push(course);
+  }
+  
+  const ordered = [...terms.values()].sort((a, b) =>
+    (a.year || 0) - (b.year || 0) ||
+    SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester)
+  );
+  
+  const totals = { credits_attempted: 0, credits_earned: 0, gpa_credits: 0, quality_points: 0 };
+  
+  const summarizedTerms = ordered.map(term => {
+    totals.credits_attempted += term.credits_attempted;
+    totals.credits_earned += term.credits_earned;
+    totals.gpa_credits += term.gpa_credits;
+    totals.quality_points += term.quality_points;
+    
+    return {
+      year: term.year,
+      semester: term.semester,
+      courses: term.courses.sort((a, b) => a.course_code.localeCompare(b.course_code)),
+      credits_attempted: term.credits_attempted,
+      credits_earned: term.credits_earned,
+      quality_points: roundTo(term.quality_points, 2),
+      term_gpa: gpaFromTotals(term.quality_points, term.gpa_credits),
+      cumulative_gpa: gpaFromTotals(totals.quality_points, totals.gpa_credits)
+    };
+  });
+  
+  return {
+    terms: summarizedTerms,
+    credits_attempted: totals.credits_attempted,
+    credits_earned: totals.credits_earned,
+    quality_points: roundTo(totals.quality_points, 2),
+    cumulative_gpa: gpaFromTotals(totals.quality_points, totals.gpa_credits)
+  };
+}
+
+async function buildTranscript(client, student) {
+  const result = await client.query(`
+    SELECT e.status, e.final_grade, e.final_percentage, e.credits_earned,
+           c.id as course_id, c.course_code, c.course_name, c.credits, c.semester, c.year,
+           gs.gpa_points
+    FROM enrollments e
+    JOIN courses c ON e.course_id = c.id
+    LEFT JOIN grade_scales gs ON gs.course_id = c.id AND gs.letter_grade = e.final_grade
+    WHERE e.student_id = $1 AND e.status IN ('active', 'completed', 'withdrawn')
+  `, [student.id]);
+  
+  return {
+    student: {
+      id: student.id,
+      student_number: student.student_number,
+      first_name: student.first_name,
+      last_name: student.last_name,
+      department: student.department,
+      status: student.status
+    },
+    ...summarizeTranscript(result.rows),
+    generated_at: new Date().toISOString()
+  };
+}
+
+function formatTerm(term) {
+  const semester = term.semester ? term.semester.charAt(0).toUpperCase() + term.semester.slice(1) : 'Unscheduled';
+  return term.year ? `${semester} ${term.year}` : semester;
+}
+
+function formatGpa(gpa) {
+  return gpa === null ? '-' : gpa.toFixed(2);
+}
+
+function renderTranscriptPdf(transcript) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 54 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    
+    const { student } = transcript;
+    const issuedOn = transcript.generated_at.slice(0, 10);
+    
+    doc.font('Helvetica-Bold').fontSize(16).text('Official Academic Transcript', { align: 'center' });
+    doc.font('Helvetica').fontSize(9).text(`Education Platform  |  Issued ${issuedOn}`, { align: 'center' });
+    doc.moveDown(1.5);
+    
+    doc.font('Helvetica-Bold').fontSize(10).text(`${student.last_name}, ${student.first_name}`);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Student number: ${student.student_number}`)
+      .text(`Department: ${student.department || '-'}`)
+      .text(`Status: ${student.status}`);
+    doc.moveDown();
+    
+    const widths = [70, 220, 50, 50, 50, 64];
+    
+    for (const term of transcript.terms) {
+      doc.font('Helvetica-Bold').fontSize(10).text(formatTerm(term));
+      drawPdfTable(
+        doc,
+        ['Course', 'Title', 'Credits', 'Grade', 'Earned', 'GPA Points'],
+        term.courses.map(course => [
+          course.course_code,
+          course.course_name,
+          course.credits,
+          course.final_grade || (course.status === 'active' ? 'IP' : ''),
+          course.credits_earned,
+          course.gpa_points === null ? '' : course.gpa_points.toFixed(2)
+        ]),
+        widths
+      );
+      doc.font('Helvetica').fontSize(8).text(
+        `Attempted ${term.credits_attempted}  |  Earned ${term.credits_earned}  |  ` +
+        `Term GPA ${formatGpa(term.term_gpa)}  |  Cumulative GPA ${formatGpa(term.cumulative_gpa)}`
+      );
+      doc.moveDown();
+    }
+    
+    doc.font('Helvetica-Bold').fontSize(10).text(
+      `Total credits attempted ${transcript.credits_attempted}  |  ` +
+      `Total credits earned ${transcript.credits_earned}  |  ` +
+      `Cumulative GPA ${formatGpa(transcript.cumulative_gpa)}`
+    );
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(7).text(
+      'IP = in progress, W = withdrawn. GPA is weighted by course credits and includes completed courses only.',
+      { align: 'center' }
+    );
+    
+    doc.end();
+  });
+}
+
+// Get a student's transcript as JSON or PDF. Staff may view any transcript as JSON;
+// the PDF is issued to admins and to students for themselves.
+app.get('/api/v1/students/:studentId/transcript',
+  authenticateToken,
+  [
+    param('studentId').isInt(),
+    query('format').optional().isIn(['json', 'pdf'])
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      const isAdmin = req.user.groups.includes('admins');
+      const isTeacherOrAdmin = isAdmin || req.user.groups.includes('teachers');
+      
+      const studentResult = await dbPool.query('SELECT * FROM students WHERE id = $1', [req.params.studentId]);
+      const student = studentResult.rows[0];
+      const isOwnTranscript = student && student.user_id === req.user.id;
+      const allowed = format === 'pdf' ? isAdmin || isOwnTranscript : isTeacherOrAdmin || isOwnTranscript;
+      
+      if (!allowed) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      
+      if (!student) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+      
+      const transcript = await buildTranscript(dbPool, student);
+      
+      if (format === 'json') {
+        return res.json(transcript);
+      }
+      
+      const content = await renderTranscriptPdf(transcript);
+      const filename = `${student.student_number}-transcript.pdf`.replace(/[^\w.-]/g, '_');
+      
+      res.set({
+        'Content-Type': EXPORT_CONTENT_TYPES.pdf,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.send(content);
+    } catch (error) {
+      console.error('Error generating transcript:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// =============================================================================
+// API Routes - Term Close-out
+// =============================================================================
+
+// A grade passes unless it carries zero GPA points; letters without GPA points (e.g. pass/fail
+// scales) pass unless they are an F
+function isPassingGrade(letterGrade, gpaPoints) {
+  if (letterGrade === null || letterGrade === undefined) return false;
+  if (gpaPoints === null || gpaPoints === undefined) return letterGrade !== 'F';
+  return gpaPoints > 0;
+}
+
+// Write weighted finals onto enrollments and mark them completed, awarding the
+// course credits for passing grades. Returns the finals keyed by student id.
+async function finalizeEnrollments(client, courseId, studentIds) {
+  const [finals, scaleResult] = await Promise.all([
+    calculateCourseFinalGrades(client, courseId, studentIds),
+    client.query('SELECT letter_grade, gpa_points FROM grade_scales WHERE course_id = $1', [courseId])
+  ]);
+  
+  const gpaPoints = new Map(DEFAULT_GPA_POINTS);
+  for (const band of scaleResult.rows) {
+    gpaPoints.set(band.letter_grade, band.gpa_points === null ? null : parseFloat(band.gpa_points));
+  }
+  
+  for (const final of finals.values()) {
+    final.passing = isPassingGrade(final.letter_grade, gpaPoints.get(final.letter_grade));
+  }
+  
+  const ids = [...finals.keys()];
+  const rows = ids.map(id => finals.get(id));
+  
+  await client.query(`
+    UPDATE enrollments e
+    SET final_percentage = f.final_percentage,
+        final_grade = f.final_grade,
+        credits_earned = CASE WHEN f.passing THEN c.credits ELSE 0 END,
+        status = 'completed'
+    FROM UNNEST($2::int[], $3::numeric[], $4::text[], $5::boolean[])
+           AS f(student_id, final_percentage, final_grade, passing),
+         courses c
+    WHERE e.course_id = $1 AND c.id = e.course_id AND e.student_id = f.student_id
+      AND e.status IN ('active', 'completed')
+  `, [
+    courseId,
+    ids,
+    rows.map(final => final.final_percentage),
+    rows.map(final => final.letter_grade),
+    rows.map(final => final.passing)
+  ]);
+  
+  return finals;
+}
+
+// Recompute the finals of every completed enrollment after an assignment change in a locked course
+async function refinalizeCourse(client, courseId) {
+  const enrollmentResult = await client.query(
+    "SELECT student_id FROM enrollments WHERE course_id = $1 AND status = 'completed'",
+    [courseId]
+  );
+  
+  return finalizeEnrollments(client, courseId, enrollmentResult.rows.map(row => row.student_id));
+}
+
+// Everything that stops a term from closing, grouped by course: published assignments
+// without a released score for an active student, regrade requests still open, and
+// courses with students but no published assignments
+async function getCloseoutBlockers(client, semester, year) {
+  const [coursesResult, gradesResult, regradesResult] = await Promise.all([
+    client.query(`
+      SELECT c.id, c.course_code, c.course_name, c.grades_locked_at,
+             (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id AND e.status = 'active') as active_enrollments,
+             (SELECT COUNT(*) FROM assignments a WHERE a.course_id = c.id AND a.is_published = true) as published_assignments
+      FROM courses c
+      WHERE c.semester = $1 AND c.year = $2
+      ORDER BY c.course_code
+    `, [semester, year]),
+    client.query(`
+      SELECT a.course_id, a.id as assignment_id, a.title as assignment_title,
+             s.id as student_id, s.student_number, s.first_name, s.last_name,
+             CASE WHEN g.status = 'graded' AND g.score IS NOT NULL THEN 'unreleased' ELSE 'missing' END as issue
+      FROM courses c
+      JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
+      JOIN students s ON e.student_id = s.id
+      JOIN assignments a ON c.id = a.course_id AND a.is_published = true
+      LEFT JOIN grades g ON a.id = g.assignment_id AND s.id = g.student_id
+      WHERE c.semester = $1 AND c.year = $2
+        AND (g.id IS NULL OR g.score IS NULL OR g.status <> 'returned')
+        -- Excused work and unattempted extra credit are not owed
+        AND COALESCE(g.status, 'pending') <> ALL($3::text[])
+        AND NOT (a.is_extra_credit AND g.score IS NULL)
+      ORDER BY a.due_date ASC, a.id ASC, s.last_name, s.first_name
+    `, [semester, year, EXCUSED_GRADE_STATUSES]),
+    client.query(`
+      SELECT a.course_id, r.id as regrade_request_id, r.grade_id, r.student_id, a.title as assignment_title
+      FROM regrade_requests r
+      JOIN grades g ON r.grade_id = g.id
+      JOIN assignments a ON g.assignment_id = a.id
+      JOIN courses c ON a.course_id = c.id
+      WHERE c.semester = $1 AND c.year = $2 AND r.status = 'pending'
+      ORDER BY r.created_at ASC
+    `, [semester, year])
+  ]);
+  
+  const courses = coursesResult.rows.map(course => ({
+    course_id: course.id,
+    course_code: course.course_code,
+    course_name: course.course_name,
+    active_enrollments: parseInt(course.active_enrollments),
+    published_assignments: parseInt(course.published_assignments),
+    locked: Boolean(course.grades_locked_at),
+    missing_grades: [],
+    unreleased_grades: [],
+    open_regrade_requests: []
+  }));
+  const byId = new Map(courses.map(course => [course.course_id, course]));
+  
+  for (const { course_id, issue, ...grade } of gradesResult.rows) {
+    byId.get(course_id)[issue === 'unreleased' ? 'unreleased_grades' : 'missing_grades'].push(grade);
+  }
+  
+  for (const { course_id, ...request } of regradesResult.rows) {
+    byId.get(course_id).open_regrade_requests.push(request);
+  }
+  
+  // A course with students but nothing graded has no final grade to record
+  for (const course of courses) {
+    course.blocking = course.missing_grades.length + course.unreleased_grades.length +
+      course.open_regrade_requests.length +
+      (course.active_enrollments > 0 && course.published_assignments === 0 ? 1 : 0);
+  }
+  
+  const blockingCount = courses.reduce((total, course) => total + course.blocking, 0);
+  
+  return { courses, blocking_count: blockingCount };
+}
+
+const termValidators = [
+  param('year').isInt({ min: 2020 }).toInt(),
+  param('semester').isIn(['fall', 'spring', 'summer'])
+];
+
+// Preview a term close-out: what still blocks it and whether it has already run
+app.get('/api/v1/terms/:year/:semester/close-out',
+  authenticateToken,
+  requireRole(['admins']),
+  termValidators,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, semester } = req.params;
+      
+      const [blockers, closeoutResult] = await Promise.all([
+        getCloseoutBlockers(dbPool, semester, year),
+        dbPool.query('SELECT * FROM term_closeouts WHERE semester = $1 AND year = $2', [semester, year])
+      ]);
       
       res.json({
-        course: courseResult.rows[0],
-        students: reportResult.rows,
-        statistics: statsResult.rows[0]
+        semester,
+        year,
+        ready: blockers.blocking_count === 0,
+        closed_out: closeoutResult.rows[0] || null,
+        ...blockers
       });
     } catch (error) {
-      console.error('Error generating course report:', error);
+      console.error('Error previewing term close-out:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Close out a term: finalize every active enrollment and lock the term's grades.
+// Re-running it after admin grade overrides refreshes the finalized grades.
+app.post('/api/v1/terms/:year/:semester/close-out',
+  authenticateToken,
+  requireRole(['admins']),
+  termValidators,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { year, semester } = req.params;
+      
+      const outcome = await withTransaction(async (client) => {
+        // Serialize concurrent close-outs of the same term
+        const coursesResult = await client.query(
+          'SELECT id FROM courses WHERE semester = $1 AND year = $2 ORDER BY id FOR UPDATE',
+          [semester, year]
+        );
+        
+        if (coursesResult.rows.length === 0) {
+          return { status: 404, body: { error: 'No courses found for this term' } };
+        }
+        
+        const blockers = await getCloseoutBlockers(client, semester, year);
+        
+        if (blockers.blocking_count > 0) {
+          return {
+            status: 409,
+            body: { error: 'Term has incomplete grades; resolve them before closing out', ...blockers }
+          };
+        }
+        
+        const courses = [];
+        
+        for (const { id } of coursesResult.rows) {
+          const enrollmentResult = await client.query(
+            "SELECT student_id FROM enrollments WHERE course_id = $1 AND status IN ('active', 'completed')",
+            [id]
+          );
+          const finals = await finalizeEnrollments(client, id, enrollmentResult.rows.map(row => row.student_id));
+          const percentages = [...finals.values()].map(final => final.final_percentage).filter(p => p !== null);
+          
+          courses.push({
+            course_id: id,
+            finalized: finals.size,
+            passing: [...finals.values()].filter(final => final.passing).length,
+            average_percentage: percentages.length > 0
+              ? roundTo(percentages.reduce((sum, p) => sum + p, 0) / percentages.length, 2)
+              : null
+          });
+        }
+        
+        await client.query(
+          'UPDATE courses SET grades_locked_at = COALESCE(grades_locked_at, CURRENT_TIMESTAMP) WHERE semester = $1 AND year = $2',
+          [semester, year]
+        );
+        
+        const summary = { courses, finalized: courses.reduce((total, course) => total + course.finalized, 0) };
+        
+        const closeoutResult = await client.query(`
+          INSERT INTO term_closeouts (semester, year, closed_by, summary)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (semester, year)
+          DO UPDATE SET closed_by = EXCLUDED.closed_by, closed_at = CURRENT_TIMESTAMP, summary = EXCLUDED.summary
+          RETURNING *
+        `, [semester, year, req.user.id, JSON.stringify(summary)]);
+        
+        return { status: 200, body: closeoutResult.rows[0] };
+      });
+      
+      if (outcome.status === 200) {
+        await sendMetricToCloudWatch('TermClosedOut', outcome.body.summary.finalized, 'Count');
+      }
+      
+      res.status(outcome.status).json(outcome.body);
+    } catch (error) {
+      console.error('Error closing out term:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
@@ -766,6 +7456,29 @@ app.get('/api/v1/courses/:courseId/reports',
 // Utility Functions
 // =============================================================================
 
+function roundTo(value, decimals) {
+  if (value === null || value === undefined) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Run callback inside a transaction on a dedicated client, rolling back on error
+async function withTransaction(callback) {
+  const client = await dbPool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 async function sendMetricToCloudWatch(metricName, value, unit) {
   if (process.env.NODE_ENV !== 'production') return;
   
@@ -788,6 +7501,80 @@ async function sendMetricToCloudWatch(metricName, value, unit) {
   }
 }
 
+// The notification handler rejects titles and messages longer than these
+const NOTIFICATION_TITLE_LIMIT = 200;
+const NOTIFICATION_MESSAGE_LIMIT = 2000;
+
+function truncateText(text, limit) {
+  return text.length > limit ? `${text.substring(0, limit - 3)}...` : text;
+}
+
+// Publish a notification to the notification-handler topic; delivery failures are logged, not thrown.
+// Long titles and messages are truncated so free text such as instructor comments can't get them rejected.
+async function publishNotification({ userId, title, message, type = 'grades', priority = 'medium', channels = ['email', 'push'], metadata = {} }) {
+  if (!process.env.NOTIFICATION_TOPIC_ARN) return false;
+  
+  try {
+    await sns.publish({
+      TopicArn: process.env.NOTIFICATION_TOPIC_ARN,
+      Subject: title.substring(0, 100),
+      Message: JSON.stringify({
+        userId,
+        type,
+        title: truncateText(title, NOTIFICATION_TITLE_LIMIT),
+        message: truncateText(message, NOTIFICATION_MESSAGE_LIMIT),
+        priority,
+        channels,
+        metadata
+      })
+    }).promise();
+    
+    return true;
+  } catch (error) {
+    console.error('Error publishing notification:', error);
+    return false;
+  }
+}
+
+// Run a background job while holding its advisory lock, so instances behind the load
+// balancer never run the same job at once. Returns null if another run holds the lock.
+async function runScheduledJob(name, lockId, job) {
+  const client = await dbPool.connect();
+  
+  try {
+    const lockResult = await client.query('SELECT pg_try_advisory_lock($1) as acquired', [lockId]);
+    
+    if (!lockResult.rows[0].acquired) {
+      return null;
+    }
+    
+    try {
+      const result = await job();
+      console.log(`Job ${name} completed:`, JSON.stringify(result));
+      return result;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [lockId]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Repeat a job every intervalMinutes; an interval of 0 disables it
+function scheduleJob(name, intervalMinutes, lockId, job) {
+  if (!(intervalMinutes > 0)) return;
+  
+  const timer = setInterval(() => {
+    runScheduledJob(name, lockId, job).catch(error => {
+      console.error(`Scheduled job ${name} failed:`, error);
+      sendMetricToCloudWatch('ScheduledJobFailed', 1, 'Count');
+    });
+  }, intervalMinutes * 60 * 1000);
+  
+  // Don't keep the process alive just for the schedule
+  timer.unref();
+}
+
 async function sendLogToCloudWatch(logGroup, message) {
   // This would integrate with CloudWatch Logs
   // For now, just console.log
@@ -828,6 +7615,30 @@ async function startServer() {
   try {
     await initializeDatabase();
     
+    scheduleJob(
+      'at-risk-scan',
+      parseFloat(process.env.AT_RISK_SCAN_INTERVAL_MINUTES || 60),
+      AT_RISK_SCAN_LOCK_ID,
+      runAtRiskScan
+    );
+    
+    // Attendance lives in the attendance tracker's DynamoDB tables
+    if (process.env.ATTENDANCE_TABLE_NAME && process.env.CLASSES_TABLE_NAME) {
+      scheduleJob(
+        'attendance-sync',
+        parseFloat(process.env.ATTENDANCE_SYNC_INTERVAL_MINUTES || 60),
+        ATTENDANCE_SYNC_LOCK_ID,
+        runAttendanceSync
+      );
+    }
+    
+    scheduleJob(
+      'waitlist-processing',
+      parseFloat(process.env.WAITLIST_PROCESSING_INTERVAL_MINUTES || 15),
+      WAITLIST_PROCESSING_LOCK_ID,
+      runWaitlistProcessing
+    );
+    
     app.listen(port, '0.0.0.0', () => {
       console.log(`Marks Management API server running on port ${port}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
@@ -872,5 +7683,9 @@ process.on('unhandledRejection', (reason, promise) => {
   sendMetricToCloudWatch('UnhandledRejection', 1, 'Count');
 });
 
-// Start the server
-startServer();
\ No newline at end of file
+// Start the server when run directly; tests require the module for its grade math
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, calculateFinalGrade, withHypotheticalScores, solveMinimumScore };
\ No newline at end of file
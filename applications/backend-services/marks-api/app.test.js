@@ -0,0 +1,190 @@
+/**
+ * Tests for the Marks API grade calculation
+ */
+
+const { calculateFinalGrade, withHypotheticalScores, solveMinimumScore } = require('./app');
+
+function assignment(id, maxScore, categoryIds, extra = {}) {
+  return { id, title: id, max_score: maxScore, weight: 1, is_extra_credit: false, category_ids: categoryIds, ...extra };
+}
+
+function grades(entries) {
+  return new Map(Object.entries(entries).map(([id, grade]) => [
+    id,
+    typeof grade === 'number' ? { score: grade, status: 'graded' } : grade
+  ]));
+}
+
+function categoryResult(final, categoryId) {
+  return final.categories.find(category => category.category_id === categoryId);
+}
+
+describe('calculateFinalGrade', () => {
+  const gradebook = {
+    courseId: 'course-1',
+    categories: [
+      { id: 'hw', name: 'Homework', weight: 40, drop_lowest: 1 },
+      { id: 'exams', name: 'Exams', weight: 60, drop_lowest: 0 }
+    ],
+    assignments: [
+      assignment('hw1', 10, ['hw']),
+      assignment('hw2', 10, ['hw']),
+      assignment('hw3', 10, ['hw']),
+      assignment('ec', 10, ['hw'], { is_extra_credit: true }),
+      assignment('midterm', 100, ['exams']),
+      assignment('final', 100, ['exams'])
+    ]
+  };
+
+  test('should weight category averages and re-normalise over graded categories', () => {
+    const final = calculateFinalGrade(gradebook, grades({ midterm: 70 }));
+
+    expect(final.final_percentage).toBe(70);
+    expect(final.weight_graded).toBe(60);
+    expect(categoryResult(final, 'hw').average_percentage).toBeNull();
+  });
+
+  test('should drop the lowest scores in a category', () => {
+    const final = calculateFinalGrade(gradebook, grades({ hw1: 5, hw2: 8, hw3: 10, midterm: 70 }));
+
+    expect(categoryResult(final, 'hw').dropped_assignment_ids).toEqual(['hw1']);
+    expect(categoryResult(final, 'hw').average_percentage).toBe(90);
+    expect(final.final_percentage).toBe(78);
+  });
+
+  test('should always keep at least one score when dropping', () => {
+    const final = calculateFinalGrade(gradebook, grades({ hw1: 5 }));
+
+    expect(categoryResult(final, 'hw').dropped_assignment_ids).toEqual([]);
+    expect(categoryResult(final, 'hw').average_percentage).toBe(50);
+  });
+
+  test('should add extra credit to the points but not to what a category is out of', () => {
+    const final = calculateFinalGrade(gradebook, grades({ hw1: 5, hw2: 8, ec: 1 }));
+
+    const homework = categoryResult(final, 'hw');
+    expect(homework.extra_credit_assignment_ids).toEqual(['ec']);
+    expect(homework.dropped_assignment_ids).toEqual(['hw1']);
+    expect(homework.average_percentage).toBe(90);
+  });
+
+  test('should let extra credit lift a course without categories above 100%', () => {
+    const final = calculateFinalGrade(
+      { courseId: 'course-2', categories: [], assignments: [assignment('a1', 100, []), assignment('bonus', 10, [], { is_extra_credit: true })] },
+      grades({ a1: 100, bonus: 5 })
+    );
+
+    expect(final.final_percentage).toBe(150);
+    expect(final.weight_graded).toBe(1);
+  });
+
+  test('should leave excused and ungraded work out entirely', () => {
+    const final = calculateFinalGrade(gradebook, grades({
+      hw1: { score: null, status: 'excused' },
+      hw2: 8,
+      hw3: 6,
+      midterm: { score: null, status: 'submitted' },
+      final: { score: 40, status: 'exempt' }
+    }));
+
+    const homework = categoryResult(final, 'hw');
+    expect(homework.excused_assignment_ids).toEqual(['hw1']);
+    expect(homework.dropped_assignment_ids).toEqual(['hw3']);
+    expect(homework.average_percentage).toBe(80);
+    expect(categoryResult(final, 'exams').excused_assignment_ids).toEqual(['final']);
+    expect(categoryResult(final, 'exams').average_percentage).toBeNull();
+    expect(final.final_percentage).toBe(80);
+  });
+});
+
+describe('what-if calculator', () => {
+  const gradebook = {
+    courseId: 'course-1',
+    categories: [],
+    assignments: [assignment('a1', 100, []), assignment('a2', 50, [])]
+  };
+  const studentGrades = grades({ a1: 80 });
+
+  test('should substitute hypothetical scores as graded work', () => {
+    const projected = withHypotheticalScores(grades({ a2: { score: null, status: 'submitted' } }), [['a2', 25]]);
+
+    expect(projected.get('a2')).toEqual({ score: 25, status: 'graded' });
+  });
+
+  test('should find the minimum score to the cent', () => {
+    const result = solveMinimumScore(gradebook, studentGrades, gradebook.assignments[1], 86.37);
+
+    expect(result).toEqual({
+      achievable: true,
+      minimum_score: 46.37,
+      minimum_percentage: 92.74,
+      best_possible_percentage: 90
+    });
+  });
+
+  test('should report the best possible final when the target is out of reach', () => {
+    const result = solveMinimumScore(gradebook, studentGrades, gradebook.assignments[1], 95);
+
+    expect(result).toEqual({ achievable: false, minimum_score: null, best_possible_percentage: 90 });
+  });
+
+  describe('with drop_lowest', () => {
+    // Scoring higher on C drops A instead of C, which pulls the final down
+    const dropGradebook = {
+      courseId: 'course-3',
+      categories: [{ id: 'quizzes', name: 'Quizzes', weight: 1, drop_lowest: 1 }],
+      assignments: [
+        assignment('A', 100, ['quizzes'], { weight: 0.1 }),
+        assignment('B', 100, ['quizzes']),
+        assignment('C', 100, ['quizzes'], { weight: 10 })
+      ]
+    };
+    const dropGrades = grades({ A: 50, B: 60 });
+    const finalWithC = (score) => calculateFinalGrade(
+      dropGradebook,
+      withHypotheticalScores(dropGrades, [['C', score]])
+    ).final_percentage;
+
+    test('should not assume the final rises with the score', () => {
+      expect(finalWithC(49)).toBeCloseTo(59.1, 1);
+      expect(finalWithC(51)).toBeCloseTo(51.8, 1);
+    });
+
+    test('should find the minimum score when a higher score lowers the final', () => {
+      const result = solveMinimumScore(dropGradebook, dropGrades, dropGradebook.assignments[2], 55);
+
+      expect(result.achievable).toBe(true);
+      expect(result.minimum_score).toBe(0);
+      expect(finalWithC(result.minimum_score)).toBeGreaterThanOrEqual(55);
+    });
+
+    test('should find the minimum score past the drop when the dropped case falls short', () => {
+      const result = solveMinimumScore(dropGradebook, dropGrades, dropGradebook.assignments[2], 60);
+
+      expect(result.minimum_score).toBe(60);
+      expect(finalWithC(59.99)).toBeLessThan(60);
+    });
+
+    test('should report the best final over every score, not just the maximum', () => {
+      const extraCreditGradebook = {
+        courseId: 'course-4',
+        categories: [{ id: 'labs', name: 'Labs', weight: 1, drop_lowest: 1 }],
+        assignments: [
+          assignment('lab1', 100, ['labs']),
+          assignment('lab2', 100, ['labs'], { weight: 10 }),
+          assignment('bonus', 100, ['labs'], { is_extra_credit: true })
+        ]
+      };
+      const labGrades = grades({ lab1: 100, bonus: 100 });
+
+      const result = solveMinimumScore(extraCreditGradebook, labGrades, extraCreditGradebook.assignments[1], 150);
+
+      expect(result).toEqual({
+        achievable: true,
+        minimum_score: 0,
+        minimum_percentage: 0,
+        best_possible_percentage: 200
+      });
+    });
+  });
+});
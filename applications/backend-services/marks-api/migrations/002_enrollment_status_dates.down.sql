@@ -0,0 +1,8 @@
+-- =============================================================================
+-- Enrollment Status Dates (rollback)
+-- =============================================================================
+
+DROP INDEX IF EXISTS idx_enrollments_course_status;
+
+ALTER TABLE enrollments DROP COLUMN IF EXISTS withdrawn_at;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS dropped_at;
@@ -0,0 +1,10 @@
+-- =============================================================================
+-- Enrollment Status Dates
+-- =============================================================================
+
+-- Record when a student dropped or withdrew from a course
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS dropped_at TIMESTAMP;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP;
+
+-- Capacity checks count active enrollments per course
+CREATE INDEX IF NOT EXISTS idx_enrollments_course_status ON enrollments(course_id, status);
@@ -0,0 +1,6 @@
+-- =============================================================================
+-- Late Penalty Tracking (rollback)
+-- =============================================================================
+
+ALTER TABLE grades DROP COLUMN IF EXISTS late_override_reason;
+ALTER TABLE grades DROP COLUMN IF EXISTS raw_score;
@@ -0,0 +1,12 @@
+-- =============================================================================
+-- Late Penalty Tracking
+-- =============================================================================
+
+-- grades.score holds the penalized score; keep the score as entered alongside it
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS raw_score DECIMAL(5,2) CHECK (raw_score >= 0);
+
+-- Reason recorded when a late grade is accepted for an assignment that disallows late work
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS late_override_reason TEXT;
+
+-- Existing grades were stored without penalties, so the raw score is the score
+UPDATE grades SET raw_score = score WHERE raw_score IS NULL AND score IS NOT NULL;
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- Grade Change Reasons (rollback)
+-- =============================================================================
+
+-- Restore the original update-only audit trigger
+CREATE OR REPLACE FUNCTION log_grade_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        -- Only log if score or feedback actually changed
+        IF OLD.score IS DISTINCT FROM NEW.score OR OLD.feedback IS DISTINCT FROM NEW.feedback THEN
+            INSERT INTO grade_audit_log (
+                grade_id, old_score, new_score, old_feedback, new_feedback,
+                changed_by, change_reason
+            ) VALUES (
+                NEW.id, OLD.score, NEW.score, OLD.feedback, NEW.feedback,
+                NEW.graded_by, 'Grade updated'
+            );
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS log_grade_changes_trigger ON grades;
+
+CREATE TRIGGER log_grade_changes_trigger AFTER UPDATE ON grades
+    FOR EACH ROW EXECUTE FUNCTION log_grade_changes();
@@ -0,0 +1,45 @@
+-- =============================================================================
+-- Grade Change Reasons
+-- =============================================================================
+
+-- The API sets app.changed_by and app.change_reason with set_config(..., true)
+-- inside the transaction that writes the grade; fall back to the old behaviour
+-- when they are not set. Grade creation is now logged too, so the audit log
+-- holds the full history of every grade.
+CREATE OR REPLACE FUNCTION log_grade_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    actor VARCHAR(255);
+    reason TEXT;
+BEGIN
+    actor := COALESCE(NULLIF(current_setting('app.changed_by', true), ''), NEW.graded_by, 'system');
+    reason := NULLIF(current_setting('app.change_reason', true), '');
+
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO grade_audit_log (
+            grade_id, old_score, new_score, old_feedback, new_feedback,
+            changed_by, change_reason
+        ) VALUES (
+            NEW.id, NULL, NEW.score, NULL, NEW.feedback,
+            actor, COALESCE(reason, 'Grade created')
+        );
+    ELSIF TG_OP = 'UPDATE' THEN
+        -- Only log if score or feedback actually changed
+        IF OLD.score IS DISTINCT FROM NEW.score OR OLD.feedback IS DISTINCT FROM NEW.feedback THEN
+            INSERT INTO grade_audit_log (
+                grade_id, old_score, new_score, old_feedback, new_feedback,
+                changed_by, change_reason
+            ) VALUES (
+                NEW.id, OLD.score, NEW.score, OLD.feedback, NEW.feedback,
+                actor, COALESCE(reason, 'Grade updated')
+            );
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS log_grade_changes_trigger ON grades;
+
+CREATE TRIGGER log_grade_changes_trigger AFTER INSERT OR UPDATE ON grades
+    FOR EACH ROW EXECUTE FUNCTION log_grade_changes();
@@ -0,0 +1,8 @@
+-- =============================================================================
+-- Grade Release Workflow (rollback)
+-- =============================================================================
+
+DROP INDEX IF EXISTS idx_grades_assignment_status;
+
+ALTER TABLE assignments DROP COLUMN IF EXISTS grades_released_by;
+ALTER TABLE assignments DROP COLUMN IF EXISTS grades_released_at;
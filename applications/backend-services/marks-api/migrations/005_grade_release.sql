@@ -0,0 +1,10 @@
+-- =============================================================================
+-- Grade Release Workflow
+-- =============================================================================
+
+-- Grades stay 'graded' (visible to staff only) until the instructor releases the
+-- assignment, which moves them to 'returned' and makes them visible to students
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS grades_released_at TIMESTAMP;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS grades_released_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_grades_assignment_status ON grades(assignment_id, status);
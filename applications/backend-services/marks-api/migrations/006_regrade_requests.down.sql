@@ -0,0 +1,5 @@
+-- =============================================================================
+-- Regrade Requests (rollback)
+-- =============================================================================
+
+DROP TABLE IF EXISTS regrade_requests;
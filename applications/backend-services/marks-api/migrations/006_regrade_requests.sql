@@ -0,0 +1,30 @@
+-- =============================================================================
+-- Regrade Requests
+-- =============================================================================
+
+-- A student disputes a released grade; the instructor accepts it with a new
+-- score or rejects it with a comment. Only one request per grade may be open.
+CREATE TABLE IF NOT EXISTS regrade_requests (
+    id SERIAL PRIMARY KEY,
+    grade_id INTEGER REFERENCES grades(id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    justification TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+    original_score DECIMAL(5,2),
+    resolved_score DECIMAL(5,2),
+    resolution_comment TEXT,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regrade_requests_open
+    ON regrade_requests(grade_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_student_id ON regrade_requests(student_id);
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_status ON regrade_requests(status);
+
+DROP TRIGGER IF EXISTS update_regrade_requests_updated_at ON regrade_requests;
+
+CREATE TRIGGER update_regrade_requests_updated_at BEFORE UPDATE ON regrade_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- Term Close-out (rollback)
+-- =============================================================================
+
+DROP INDEX IF EXISTS idx_courses_term;
+
+DROP TABLE IF EXISTS term_closeouts;
+
+ALTER TABLE courses DROP COLUMN IF EXISTS grades_locked_at;
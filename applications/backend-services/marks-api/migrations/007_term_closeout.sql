@@ -0,0 +1,19 @@
+-- =============================================================================
+-- Term Close-out
+-- =============================================================================
+
+-- Set when the course's term is closed out; after that only admins may change grades
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS grades_locked_at TIMESTAMP;
+
+-- One row per closed term, recording who closed it and what was finalized
+CREATE TABLE IF NOT EXISTS term_closeouts (
+    id SERIAL PRIMARY KEY,
+    semester VARCHAR(20) NOT NULL CHECK (semester IN ('fall', 'spring', 'summer')),
+    year INTEGER NOT NULL,
+    closed_by VARCHAR(255) NOT NULL,
+    closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    summary JSONB,
+    UNIQUE(semester, year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_courses_term ON courses(year, semester);
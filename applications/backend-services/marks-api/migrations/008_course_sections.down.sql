@@ -0,0 +1,10 @@
+-- =============================================================================
+-- Course Sections (rollback)
+-- =============================================================================
+
+-- Fails if a course code is in use by more than one course; merge or rename those first
+DROP INDEX IF EXISTS idx_courses_code_section_term;
+
+ALTER TABLE courses ADD CONSTRAINT courses_course_code_key UNIQUE (course_code);
+
+ALTER TABLE courses DROP COLUMN IF EXISTS section;
@@ -0,0 +1,12 @@
+-- =============================================================================
+-- Course Sections
+-- =============================================================================
+
+-- A course code may run as several sections in the same term, so course_code
+-- alone is no longer unique
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS section VARCHAR(10) NOT NULL DEFAULT '01';
+
+ALTER TABLE courses DROP CONSTRAINT IF EXISTS courses_course_code_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_courses_code_section_term
+    ON courses(course_code, section, COALESCE(semester, ''), COALESCE(year, 0));
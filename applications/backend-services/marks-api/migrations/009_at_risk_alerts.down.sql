@@ -0,0 +1,7 @@
+-- =============================================================================
+-- At-risk Early Warning (rollback)
+-- =============================================================================
+
+DROP TABLE IF EXISTS at_risk_flags;
+
+ALTER TABLE students DROP COLUMN IF EXISTS advisor_id;
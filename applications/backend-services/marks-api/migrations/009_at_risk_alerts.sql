@@ -0,0 +1,22 @@
+-- =============================================================================
+-- At-risk Early Warning
+-- =============================================================================
+
+-- Cognito user id of the student's academic advisor, who is alerted alongside the instructor
+ALTER TABLE students ADD COLUMN IF NOT EXISTS advisor_id VARCHAR(255);
+
+-- Latest at-risk evaluation per enrollment. The scan alerts only on flags that are
+-- not already recorded here, and clears the row once the student recovers.
+CREATE TABLE IF NOT EXISTS at_risk_flags (
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+    flags TEXT[] NOT NULL,
+    risk_score DECIMAL(5,2) NOT NULL,
+    details JSONB,
+    first_flagged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_evaluated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_notified_at TIMESTAMP,
+    PRIMARY KEY (student_id, course_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_at_risk_flags_course_id ON at_risk_flags(course_id);
@@ -0,0 +1,9 @@
+-- =============================================================================
+-- Attendance Participation Policies (rollback)
+-- =============================================================================
+
+ALTER TABLE attendance_integration DROP COLUMN IF EXISTS sessions_late;
+ALTER TABLE attendance_integration DROP COLUMN IF EXISTS sessions_present;
+ALTER TABLE attendance_integration DROP COLUMN IF EXISTS sessions_held;
+
+DROP TABLE IF EXISTS participation_policies;
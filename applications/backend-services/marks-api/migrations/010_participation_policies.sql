@@ -0,0 +1,26 @@
+-- =============================================================================
+-- Attendance Participation Policies
+-- =============================================================================
+
+-- How a course turns synced attendance into participation points. Late check-ins
+-- earn late_credit of a session, and attending full_credit_percentage of sessions
+-- earns full points. When assignment_id is set, the points are also written as the
+-- student's grade on that participation assignment.
+CREATE TABLE IF NOT EXISTS participation_policies (
+    course_id INTEGER PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE SET NULL,
+    late_credit DECIMAL(3,2) NOT NULL DEFAULT 0.5 CHECK (late_credit >= 0 AND late_credit <= 1),
+    full_credit_percentage DECIMAL(5,2) NOT NULL DEFAULT 90 CHECK (full_credit_percentage > 0 AND full_credit_percentage <= 100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Session counts behind attendance_percentage, kept for auditing the conversion
+ALTER TABLE attendance_integration ADD COLUMN IF NOT EXISTS sessions_held INTEGER;
+ALTER TABLE attendance_integration ADD COLUMN IF NOT EXISTS sessions_present INTEGER;
+ALTER TABLE attendance_integration ADD COLUMN IF NOT EXISTS sessions_late INTEGER;
+
+DROP TRIGGER IF EXISTS update_participation_policies_updated_at ON participation_policies;
+
+CREATE TRIGGER update_participation_policies_updated_at BEFORE UPDATE ON participation_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- =============================================================================
+-- Enrollment Waitlists (rollback)
+-- =============================================================================
+
+DROP TABLE IF EXISTS waitlist_entries;
+
+ALTER TABLE courses DROP COLUMN IF EXISTS waitlist_claim_hours;
@@ -0,0 +1,33 @@
+-- =============================================================================
+-- Enrollment Waitlists
+-- =============================================================================
+
+-- Hours a promoted student has to claim their seat; NULL enrolls them straight away
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS waitlist_claim_hours INTEGER CHECK (waitlist_claim_hours > 0);
+
+-- Students waiting for a seat in a full course. An 'offered' entry holds a seat
+-- until its claim_deadline, after which the seat passes to the next student.
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'enrolled', 'expired', 'removed')),
+    offered_at TIMESTAMP,
+    claim_deadline TIMESTAMP,
+    resolved_at TIMESTAMP,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_open
+    ON waitlist_entries(course_id, student_id) WHERE status IN ('waiting', 'offered');
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_course_status ON waitlist_entries(course_id, status, position);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_claim_deadline
+    ON waitlist_entries(claim_deadline) WHERE status = 'offered';
+
+DROP TRIGGER IF EXISTS update_waitlist_entries_updated_at ON waitlist_entries;
+
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
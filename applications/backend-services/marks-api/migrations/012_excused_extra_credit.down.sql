@@ -0,0 +1,39 @@
+-- =============================================================================
+-- Excused, Exempt and Extra-credit Grades (rollback)
+-- =============================================================================
+
+DROP VIEW IF EXISTS student_grade_summary;
+
+CREATE VIEW student_grade_summary AS
+SELECT 
+    s.id as student_id,
+    s.user_id,
+    s.student_number,
+    s.first_name,
+    s.last_name,
+    c.id as course_id,
+    c.course_code,
+    c.course_name,
+    COUNT(g.id) as total_assignments,
+    COUNT(CASE WHEN g.status = 'graded' THEN 1 END) as graded_assignments,
+    AVG(g.percentage) as average_percentage,
+    STRING_AGG(DISTINCT g.letter_grade, ', ' ORDER BY g.letter_grade) as letter_grades
+FROM students s
+JOIN enrollments e ON s.id = e.student_id
+JOIN courses c ON e.course_id = c.id
+LEFT JOIN assignments a ON c.id = a.course_id AND a.is_published = true
+LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id
+WHERE e.status = 'active'
+GROUP BY s.id, s.user_id, s.student_number, s.first_name, s.last_name, 
+         c.id, c.course_code, c.course_name;
+
+ALTER TABLE assignments DROP COLUMN IF EXISTS is_extra_credit;
+
+-- Excusals have no earlier equivalent; they revert to ungraded
+UPDATE grades SET status = 'pending' WHERE status IN ('excused', 'exempt');
+
+ALTER TABLE grades DROP COLUMN IF EXISTS excusal_reason;
+
+ALTER TABLE grades DROP CONSTRAINT IF EXISTS grades_status_check;
+ALTER TABLE grades ADD CONSTRAINT grades_status_check
+    CHECK (status IN ('pending', 'graded', 'returned', 'missing'));
@@ -0,0 +1,48 @@
+-- =============================================================================
+-- Excused, Exempt and Extra-credit Grades
+-- =============================================================================
+
+-- Excused and exempt grades carry no score and drop the assignment from the
+-- student's denominator; excusal_reason records why
+ALTER TABLE grades DROP CONSTRAINT IF EXISTS grades_status_check;
+ALTER TABLE grades ADD CONSTRAINT grades_status_check
+    CHECK (status IN ('pending', 'graded', 'returned', 'missing', 'excused', 'exempt'));
+
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS excusal_reason TEXT;
+
+-- Extra-credit scores add to their category's points without adding to what it is
+-- out of, so they can lift a category above 100%
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS is_extra_credit BOOLEAN NOT NULL DEFAULT false;
+
+-- Weighted average matching the API's uncategorized calculation
+DROP VIEW IF EXISTS student_grade_summary;
+
+CREATE VIEW student_grade_summary AS
+SELECT 
+    s.id as student_id,
+    s.user_id,
+    s.student_number,
+    s.first_name,
+    s.last_name,
+    c.id as course_id,
+    c.course_code,
+    c.course_name,
+    COUNT(a.id) FILTER (
+        WHERE NOT a.is_extra_credit AND COALESCE(g.status, 'pending') NOT IN ('excused', 'exempt')
+    ) as total_assignments,
+    COUNT(CASE WHEN g.status IN ('graded', 'returned') THEN 1 END) as graded_assignments,
+    SUM(g.percentage * a.weight) FILTER (WHERE g.status IN ('graded', 'returned'))
+        / NULLIF(SUM(a.weight) FILTER (
+            WHERE g.status IN ('graded', 'returned') AND g.percentage IS NOT NULL AND NOT a.is_extra_credit
+        ), 0) as average_percentage,
+    STRING_AGG(DISTINCT g.letter_grade, ', ' ORDER BY g.letter_grade) as letter_grades,
+    COUNT(CASE WHEN g.status IN ('excused', 'exempt') THEN 1 END) as excused_assignments,
+    COUNT(a.id) FILTER (WHERE a.is_extra_credit) as extra_credit_assignments
+FROM students s
+JOIN enrollments e ON s.id = e.student_id
+JOIN courses c ON e.course_id = c.id
+LEFT JOIN assignments a ON c.id = a.course_id AND a.is_published = true
+LEFT JOIN grades g ON s.id = g.student_id AND a.id = g.assignment_id
+WHERE e.status = 'active'
+GROUP BY s.id, s.user_id, s.student_number, s.first_name, s.last_name, 
+         c.id, c.course_code, c.course_name;
@@ -0,0 +1,11 @@
+-- =============================================================================
+-- Rubrics (rollback)
+-- =============================================================================
+
+DROP TABLE IF EXISTS grade_rubric_scores;
+
+ALTER TABLE assignments DROP COLUMN IF EXISTS rubric_id;
+
+DROP TABLE IF EXISTS rubric_levels;
+DROP TABLE IF EXISTS rubric_criteria;
+DROP TABLE IF EXISTS rubrics;
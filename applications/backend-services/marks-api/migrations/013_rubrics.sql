@@ -0,0 +1,56 @@
+-- =============================================================================
+-- Rubrics
+-- =============================================================================
+
+-- A rubric belongs to a course and can be attached to any of its assignments.
+-- Each criterion is scored by selecting one of its performance levels.
+CREATE TABLE IF NOT EXISTS rubrics (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS rubric_criteria (
+    id SERIAL PRIMARY KEY,
+    rubric_id INTEGER REFERENCES rubrics(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS rubric_levels (
+    id SERIAL PRIMARY KEY,
+    criterion_id INTEGER REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    points DECIMAL(5,2) NOT NULL CHECK (points >= 0),
+    position INTEGER NOT NULL
+);
+
+-- A rubric in use by an assignment cannot be deleted
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS rubric_id INTEGER REFERENCES rubrics(id) ON DELETE RESTRICT;
+
+-- The level selected for each criterion of a grade; points are kept as awarded
+CREATE TABLE IF NOT EXISTS grade_rubric_scores (
+    grade_id INTEGER REFERENCES grades(id) ON DELETE CASCADE,
+    criterion_id INTEGER REFERENCES rubric_criteria(id),
+    level_id INTEGER REFERENCES rubric_levels(id),
+    points DECIMAL(5,2) NOT NULL,
+    comment TEXT,
+    PRIMARY KEY (grade_id, criterion_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rubrics_course ON rubrics(course_id);
+CREATE INDEX IF NOT EXISTS idx_rubric_criteria_rubric ON rubric_criteria(rubric_id, position);
+CREATE INDEX IF NOT EXISTS idx_rubric_levels_criterion ON rubric_levels(criterion_id, position);
+CREATE INDEX IF NOT EXISTS idx_assignments_rubric ON assignments(rubric_id);
+CREATE INDEX IF NOT EXISTS idx_grade_rubric_scores_criterion ON grade_rubric_scores(criterion_id);
+
+DROP TRIGGER IF EXISTS update_rubrics_updated_at ON rubrics;
+
+CREATE TRIGGER update_rubrics_updated_at BEFORE UPDATE ON rubrics
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
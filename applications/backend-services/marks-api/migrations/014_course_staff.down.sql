@@ -0,0 +1,8 @@
+-- =============================================================================
+-- Course Staff (rollback)
+-- =============================================================================
+
+DROP TRIGGER IF EXISTS sync_course_instructor_trigger ON courses;
+DROP FUNCTION IF EXISTS sync_course_instructor();
+
+DROP TABLE IF EXISTS course_staff;
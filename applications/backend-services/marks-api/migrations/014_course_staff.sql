@@ -0,0 +1,58 @@
+-- =============================================================================
+-- Course Staff
+-- =============================================================================
+
+-- Who teaches a course. Instructors and co-instructors have full rights on it; TAs may
+-- only grade, limited to assignment_ids when that is set. Sections are separate course
+-- rows, so a TA is assigned per section.
+CREATE TABLE IF NOT EXISTS course_staff (
+    id SERIAL PRIMARY KEY,
+    course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('instructor', 'co_instructor', 'ta')),
+    assignment_ids INTEGER[],
+    added_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(course_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_staff_user ON course_staff(user_id);
+
+DROP TRIGGER IF EXISTS update_course_staff_updated_at ON course_staff;
+
+CREATE TRIGGER update_course_staff_updated_at BEFORE UPDATE ON course_staff
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- courses.instructor_id stays the primary instructor; keep their staff row in step
+-- however the course is created or reassigned
+CREATE OR REPLACE FUNCTION sync_course_instructor()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.instructor_id IS NOT NULL THEN
+        DELETE FROM course_staff
+        WHERE course_id = NEW.id AND user_id = OLD.instructor_id AND role = 'instructor';
+    END IF;
+
+    IF NEW.instructor_id IS NOT NULL THEN
+        INSERT INTO course_staff (course_id, user_id, role)
+        VALUES (NEW.id, NEW.instructor_id, 'instructor')
+        ON CONFLICT (course_id, user_id)
+        DO UPDATE SET role = 'instructor', assignment_ids = NULL;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_course_instructor_trigger ON courses;
+
+CREATE TRIGGER sync_course_instructor_trigger
+    AFTER INSERT OR UPDATE OF instructor_id ON courses
+    FOR EACH ROW EXECUTE FUNCTION sync_course_instructor();
+
+INSERT INTO course_staff (course_id, user_id, role)
+SELECT id, instructor_id, 'instructor'
+FROM courses
+WHERE instructor_id IS NOT NULL
+ON CONFLICT (course_id, user_id) DO NOTHING;
@@ -0,0 +1,12 @@
+-- =============================================================================
+-- Anonymous Grading and Second Marking (rollback)
+-- =============================================================================
+
+DROP TABLE IF EXISTS second_marks;
+DROP TABLE IF EXISTS anonymous_ids;
+
+ALTER TABLE assignments DROP COLUMN IF EXISTS moderation_threshold;
+ALTER TABLE assignments DROP COLUMN IF EXISTS second_marking;
+ALTER TABLE assignments DROP COLUMN IF EXISTS deanonymized_by;
+ALTER TABLE assignments DROP COLUMN IF EXISTS deanonymized_at;
+ALTER TABLE assignments DROP COLUMN IF EXISTS anonymous_grading;
@@ -0,0 +1,57 @@
+-- =============================================================================
+-- Anonymous Grading and Second Marking
+-- =============================================================================
+
+-- An anonymous assignment shows graders pseudonyms instead of student identities
+-- until an instructor de-anonymizes it. With second marking, a second grader marks
+-- blind and large disagreements with the first mark are flagged for moderation.
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS anonymous_grading BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS deanonymized_at TIMESTAMP;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS deanonymized_by VARCHAR(255);
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS second_marking BOOLEAN NOT NULL DEFAULT false;
+
+-- Largest allowed gap between the two marks, in percentage points of max_score
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS moderation_threshold DECIMAL(5,2) NOT NULL DEFAULT 10.00
+    CHECK (moderation_threshold >= 0 AND moderation_threshold <= 100);
+
+-- Pseudonyms are random and issued per assignment, so they can't be correlated
+-- across assignments; once issued they never change
+CREATE TABLE IF NOT EXISTS anonymous_ids (
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    anonymous_id VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (assignment_id, student_id),
+    UNIQUE (assignment_id, anonymous_id)
+);
+
+-- The second mark for a student's grade. first_score snapshots the mark it was
+-- compared against; status is 'flagged' when the gap exceeded the threshold.
+CREATE TABLE IF NOT EXISTS second_marks (
+    id SERIAL PRIMARY KEY,
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    grade_id INTEGER REFERENCES grades(id) ON DELETE CASCADE,
+    marker_id VARCHAR(255) NOT NULL,
+    score DECIMAL(5,2) NOT NULL CHECK (score >= 0),
+    feedback TEXT,
+    first_marker_id VARCHAR(255),
+    first_score DECIMAL(5,2) NOT NULL,
+    discrepancy_percent DECIMAL(5,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'agreed'
+        CHECK (status IN ('agreed', 'flagged', 'moderated')),
+    moderated_score DECIMAL(5,2),
+    moderation_comment TEXT,
+    moderated_by VARCHAR(255),
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(assignment_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_second_marks_flagged ON second_marks(assignment_id) WHERE status = 'flagged';
+
+DROP TRIGGER IF EXISTS update_second_marks_updated_at ON second_marks;
+
+CREATE TRIGGER update_second_marks_updated_at BEFORE UPDATE ON second_marks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- =============================================================================
+-- Grade Adjustments (rollback)
+-- =============================================================================
+
+-- Adjusted grades keep their current scores; only the adjustment records go
+DROP TABLE IF EXISTS grade_adjustment_items;
+DROP TABLE IF EXISTS grade_adjustments;
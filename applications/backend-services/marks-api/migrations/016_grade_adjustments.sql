@@ -0,0 +1,32 @@
+-- =============================================================================
+-- Grade Adjustments
+-- =============================================================================
+
+-- A curve or other bulk score adjustment applied to an assignment's grades in one
+-- go. parameters holds the method's inputs (points, target_mean, clamp_to_max).
+CREATE TABLE IF NOT EXISTS grade_adjustments (
+    id SERIAL PRIMARY KEY,
+    assignment_id INTEGER REFERENCES assignments(id) ON DELETE CASCADE,
+    method VARCHAR(20) NOT NULL
+        CHECK (method IN ('add_points', 'scale_to_mean', 'square_root', 'clamp')),
+    parameters JSONB NOT NULL DEFAULT '{}',
+    reason TEXT,
+    grade_count INTEGER NOT NULL,
+    applied_by VARCHAR(255),
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reverted_by VARCHAR(255),
+    reverted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grade_adjustments_assignment ON grade_adjustments(assignment_id);
+
+-- Each grade the adjustment changed, with the values needed to revert it as a unit
+CREATE TABLE IF NOT EXISTS grade_adjustment_items (
+    adjustment_id INTEGER REFERENCES grade_adjustments(id) ON DELETE CASCADE,
+    grade_id INTEGER REFERENCES grades(id) ON DELETE CASCADE,
+    old_score DECIMAL(5,2),
+    new_score DECIMAL(5,2),
+    old_raw_score DECIMAL(5,2),
+    new_raw_score DECIMAL(5,2),
+    PRIMARY KEY (adjustment_id, grade_id)
+);
@@ -0,0 +1,6 @@
+-- =============================================================================
+-- Release Grades Recorded Before the Release Workflow (rollback)
+-- =============================================================================
+
+-- Released grades can't be told apart from ones released through the API since,
+-- so they stay released
@@ -0,0 +1,25 @@
+-- =============================================================================
+-- Release Grades Recorded Before the Release Workflow
+-- =============================================================================
+
+-- Students could see every 'graded' grade before 005_grade_release.sql, so grades
+-- last written before it was applied count as released; otherwise they would
+-- disappear until each assignment is released again. Grades written since then
+-- are drafts and stay unreleased.
+UPDATE assignments a
+SET grades_released_at = m.executed_at
+FROM migrations m
+WHERE m.filename = '005_grade_release.sql'
+  AND a.grades_released_at IS NULL
+  AND EXISTS (
+      SELECT 1 FROM grades g
+      WHERE g.assignment_id = a.id AND g.status = 'graded' AND g.updated_at < m.executed_at
+  );
+
+-- After the assignments, since releasing a grade moves its updated_at
+UPDATE grades g
+SET status = 'returned'
+FROM migrations m
+WHERE m.filename = '005_grade_release.sql'
+  AND g.status = 'graded'
+  AND g.updated_at < m.executed_at;
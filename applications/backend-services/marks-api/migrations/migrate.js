@@ -0,0 +1,383 @@
+/**
+ * Database Migration Runner
+ *
+ * Applies versioned SQL migrations from this directory:
+ * - NNN_description.sql is the up-migration, applied in version order
+ * - NNN_description.down.sql is its optional paired down-migration
+ * - baseline/NNN_description.sql, when present, is run in place of a shipped
+ *   migration that can't run as written; it is recorded under the shipped
+ *   filename and checksum, so databases that already applied it are unaffected
+ * - Each migration runs in its own transaction and is recorded with a checksum,
+ *   so a migration edited after it was applied is detected instead of ignored
+ *
+ * Usage:
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--dry-run]
+ *   npm run migrate -- down [--steps N] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = __dirname;
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+const BASELINE_DIR = 'baseline';
+
+// Serializes runners across app instances starting at the same time
+const MIGRATION_LOCK_ID = 7140513;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function checksum(sql) {
+  // Normalize line endings so a checkout with CRLF does not look like an edit
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Discover up-migrations and their down-migrations, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const filenames = fs.readdirSync(dir);
+  const migrations = [];
+  const versions = new Map();
+
+  for (const filename of filenames) {
+    if (filename.endsWith(DOWN_SUFFIX)) continue;
+
+    const match = MIGRATION_FILE_PATTERN.exec(filename);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+
+    if (versions.has(version)) {
+      throw new MigrationError(`Migrations ${versions.get(version)} and ${filename} share version ${version}`);
+    }
+    versions.set(version, filename);
+
+    const sql = fs.readFileSync(path.join(dir, filename), 'utf8');
+    const downFilename = filename.replace(/\.sql$/, DOWN_SUFFIX);
+    const hasDown = filenames.includes(downFilename);
+    const baselinePath = path.join(dir, BASELINE_DIR, filename);
+
+    migrations.push({
+      version,
+      filename,
+      sql,
+      checksum: checksum(sql),
+      downFilename: hasDown ? downFilename : null,
+      downSql: hasDown ? fs.readFileSync(path.join(dir, downFilename), 'utf8') : null,
+      baselineSql: fs.existsSync(baselinePath) ? fs.readFileSync(baselinePath, 'utf8') : null
+    });
+  }
+
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id SERIAL PRIMARY KEY,
+      filename VARCHAR(255) NOT NULL,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Tables created by the original runner predate checksums
+  await client.query('ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+  await client.query('ALTER TABLE migrations ADD COLUMN IF NOT EXISTS execution_ms INTEGER');
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query(
+    'SELECT filename, checksum, executed_at FROM migrations ORDER BY id'
+  );
+
+  return new Map(result.rows.map(row => [row.filename, row]));
+}
+
+// Compare migration files against the migrations table.
+// States: applied, pending, modified (file changed since it ran) and missing (file deleted).
+function buildStatus(migrations, applied) {
+  const entries = migrations.map(migration => {
+    const record = applied.get(migration.filename);
+    let state = 'pending';
+
+    if (record) {
+      state = record.checksum && record.checksum !== migration.checksum ? 'modified' : 'applied';
+    }
+
+    return {
+      version: migration.version,
+      filename: migration.filename,
+      state,
+      executed_at: record ? record.executed_at : null,
+      has_down: Boolean(migration.downFilename)
+    };
+  });
+
+  const known = new Set(migrations.map(migration => migration.filename));
+
+  for (const [filename, record] of applied) {
+    if (!known.has(filename)) {
+      entries.push({
+        version: null,
+        filename,
+        state: 'missing',
+        executed_at: record.executed_at,
+        has_down: false
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Run callback on a dedicated client holding the migration lock
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runInTransaction(client, callback) {
+  await client.query('BEGIN');
+
+  try {
+    await callback();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function status(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    return buildStatus(migrations, await getAppliedMigrations(client));
+  });
+}
+
+// Apply every pending migration in order. Refuses to run while an applied
+// migration has been edited, since the schema no longer matches the files.
+async function up(pool, { dryRun = false, dir, logger = console } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const modified = buildStatus(migrations, applied).filter(entry => entry.state === 'modified');
+
+    if (modified.length > 0) {
+      throw new MigrationError(
+        `Applied migrations have changed on disk: ${modified.map(entry => entry.filename).join(', ')}`
+      );
+    }
+
+    // Migrations recorded before checksums existed are trusted as-is
+    for (const migration of migrations) {
+      const record = applied.get(migration.filename);
+
+      if (record && !record.checksum && !dryRun) {
+        await client.query(
+          'UPDATE migrations SET checksum = $1 WHERE filename = $2',
+          [migration.checksum, migration.filename]
+        );
+      }
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.filename));
+
+    for (const migration of pending) {
+      if (dryRun) {
+        logger.log(`[dry-run] Would apply ${migration.filename}`);
+        continue;
+      }
+
+      logger.log(`Applying migration ${migration.filename}${migration.baselineSql ? ' from its baseline' : ''}...`);
+      const startedAt = Date.now();
+
+      await runInTransaction(client, async () => {
+        await client.query(migration.baselineSql || migration.sql);
+        await client.query(
+          'INSERT INTO migrations (filename, checksum, execution_ms) VALUES ($1, $2, $3)',
+          [migration.filename, migration.checksum, Date.now() - startedAt]
+        );
+      });
+
+      logger.log(`Migration ${migration.filename} applied in ${Date.now() - startedAt}ms`);
+    }
+
+    return pending.map(migration => migration.filename);
+  });
+}
+
+// Roll back the most recently applied migrations, newest first
+async function down(pool, { steps = 1, dryRun = false, dir, logger = console } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const targets = migrations
+      .filter(migration => applied.has(migration.filename))
+      .reverse()
+      .slice(0, steps);
+
+    // Check the whole batch up front so a missing down-migration doesn't leave it half rolled back
+    const irreversible = targets.filter(migration => !migration.downSql);
+
+    if (irreversible.length > 0) {
+      throw new MigrationError(
+        `No down-migration for ${irreversible.map(migration => migration.filename).join(', ')}`
+      );
+    }
+
+    for (const migration of targets) {
+      if (dryRun) {
+        logger.log(`[dry-run] Would roll back ${migration.filename} using ${migration.downFilename}`);
+        continue;
+      }
+
+      logger.log(`Rolling back migration ${migration.filename}...`);
+
+      await runInTransaction(client, async () => {
+        await client.query(migration.downSql);
+        await client.query('DELETE FROM migrations WHERE filename = $1', [migration.filename]);
+      });
+
+      logger.log(`Migration ${migration.filename} rolled back`);
+    }
+
+    return targets.map(migration => migration.filename);
+  });
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  status,
+  up,
+  down
+};
+
+// =============================================================================
+// Command Line Interface
+// =============================================================================
+
+// Connect the same way the API does: Secrets Manager in AWS, environment variables locally
+async function createPool() {
+  const { Pool } = require('pg');
+  let credentials;
+
+  if (process.env.DB_SECRET_ARN) {
+    const AWS = require('aws-sdk');
+    AWS.config.update({ region: process.env.AWS_REGION || 'us-east-1' });
+
+    const secret = await new AWS.SecretsManager().getSecretValue({
+      SecretId: process.env.DB_SECRET_ARN
+    }).promise();
+
+    credentials = JSON.parse(secret.SecretString);
+  } else {
+    credentials = {
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+      dbname: process.env.DB_NAME || 'education_platform_dev',
+      username: process.env.DB_USERNAME || 'eduadmin',
+      password: process.env.DB_PASSWORD || 'password'
+    };
+  }
+
+  return new Pool({
+    host: credentials.host,
+    port: credentials.port,
+    database: credentials.dbname,
+    user: credentials.username,
+    password: credentials.password,
+    ssl: {
+      rejectUnauthorized: false
+    },
+    max: 1
+  });
+}
+
+function parseArgs(argv) {
+  const args = { command: 'up', dryRun: false, steps: 1 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--steps') {
+      args.steps = parseInt(argv[++i], 10);
+    } else if (!arg.startsWith('--')) {
+      args.command = arg;
+    } else {
+      throw new MigrationError(`Unknown option ${arg}`);
+    }
+  }
+
+  if (!['up', 'down', 'status'].includes(args.command)) {
+    throw new MigrationError(`Unknown command ${args.command}; expected up, down or status`);
+  }
+
+  if (!Number.isInteger(args.steps) || args.steps < 1) {
+    throw new MigrationError('--steps must be a positive integer');
+  }
+
+  return args;
+}
+
+async function main() {
+  let pool;
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    pool = await createPool();
+
+    if (args.command === 'status') {
+      const entries = await status(pool);
+
+      for (const entry of entries) {
+        const executedAt = entry.executed_at ? new Date(entry.executed_at).toISOString() : '-';
+        console.log(`${entry.state.padEnd(9)} ${entry.filename.padEnd(40)} ${executedAt}${entry.has_down ? '' : '  (no down)'}`);
+      }
+
+      if (entries.some(entry => entry.state === 'modified' || entry.state === 'missing')) {
+        process.exitCode = 1;
+      }
+    } else if (args.command === 'up') {
+      const migrated = await up(pool, { dryRun: args.dryRun });
+      console.log(migrated.length === 0 ? 'Database is up to date' : `${migrated.length} migration(s) ${args.dryRun ? 'pending' : 'applied'}`);
+    } else {
+      const rolledBack = await down(pool, { steps: args.steps, dryRun: args.dryRun });
+      console.log(`${rolledBack.length} migration(s) ${args.dryRun ? 'would be rolled back' : 'rolled back'}`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (pool) await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}